@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+import { createInterface } from "node:readline/promises";
+import { parseArgs } from "node:util";
+
+import { runAudit } from "../cli/audit.js";
+import { runBaseline, runLint } from "../cli/baseline.js";
+import { runCycles } from "../cli/cycles.js";
+import { runExplain } from "../cli/explain.js";
+import { appTypes, runInit } from "../cli/init.js";
+
+const usage = `Usage: uba-eslint-config <command> [options]
+
+Commands:
+  init                  Scaffold eslint.config.js and prettier.config.js, and add lint/format scripts
+  baseline [patterns]   Record the current errors in eslint-baseline.json
+  lint [patterns]       Lint, reporting only errors beyond eslint-baseline.json and removing fixed ones from it
+  cycles [patterns]     Print every import cycle with the imports that form it; fails when there is one
+  explain <file>        Print the rules that apply to a file, with the config object that set each one
+  audit                 Check for removed, deprecated, duplicated and Prettier-conflicting rules; fails on any
+
+Options for init:
+  --app-type <${appTypes.join("|")}>  Skip the app type question
+  --yes, -y                                     Use detected features without asking (for CI)
+  --force                                       Overwrite existing config files and scripts
+
+Options for lint:
+  --ci                                          Fail instead of updating an outdated baseline; on when CI is set
+
+Options for explain:
+  --all                                         Also list the rules that are turned off
+`;
+
+/**
+ * @param {string} line
+ */
+function writeLine(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    all: { default: false, type: "boolean" },
+    "app-type": { type: "string" },
+    ci: { default: Boolean(process.env.CI), type: "boolean" },
+    force: { default: false, type: "boolean" },
+    help: { default: false, short: "h", type: "boolean" },
+    yes: { default: false, short: "y", type: "boolean" },
+  },
+});
+const [command, ...patterns] = positionals;
+const appType = values["app-type"];
+
+/**
+ * @returns {Promise<boolean>} Whether init succeeded
+ */
+async function runInitCommand() {
+  if (appType !== undefined && !appTypes.includes(appType)) {
+    process.stderr.write(`Invalid --app-type: ${appType}\n`);
+
+    return false;
+  }
+
+  const isInteractive = !values.yes && process.stdin.isTTY;
+  const readline = isInteractive
+    ? createInterface({ input: process.stdin, output: process.stdout })
+    : undefined;
+  const { isSuccessful } = await runInit({
+    appType,
+    ask: readline ? (question) => readline.question(question) : undefined,
+    cwd: process.cwd(),
+    isInteractive,
+    log: writeLine,
+    shouldOverwrite: values.force,
+  });
+
+  readline?.close();
+
+  return isSuccessful;
+}
+
+const lintPatterns = patterns.length > 0 ? patterns : undefined;
+
+if (values.help || command === undefined) {
+  writeLine(usage);
+} else {
+  switch (command) {
+    case "audit": {
+      const { isSuccessful } = await runAudit({
+        cwd: process.cwd(),
+        log: writeLine,
+      });
+
+      process.exitCode = isSuccessful ? 0 : 1;
+      break;
+    }
+    case "baseline": {
+      const { isSuccessful } = await runBaseline({
+        cwd: process.cwd(),
+        log: writeLine,
+        patterns: lintPatterns,
+      });
+
+      process.exitCode = isSuccessful ? 0 : 1;
+      break;
+    }
+    case "cycles": {
+      const { isSuccessful } = await runCycles({
+        cwd: process.cwd(),
+        log: writeLine,
+        patterns: lintPatterns,
+      });
+
+      process.exitCode = isSuccessful ? 0 : 1;
+      break;
+    }
+    case "explain": {
+      if (patterns.length !== 1) {
+        process.stderr.write(`explain takes one file\n\n${usage}`);
+        process.exitCode = 1;
+        break;
+      }
+
+      try {
+        const { isSuccessful } = await runExplain({
+          cwd: process.cwd(),
+          filePath: patterns[0],
+          log: writeLine,
+          shouldIncludeOffRules: values.all,
+        });
+
+        process.exitCode = isSuccessful ? 0 : 1;
+      } catch (error) {
+        // An ignored file, or one no config object matches
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 1;
+      }
+
+      break;
+    }
+    case "init": {
+      process.exitCode = (await runInitCommand()) ? 0 : 1;
+      break;
+    }
+    case "lint": {
+      const { isSuccessful } = await runLint({
+        cwd: process.cwd(),
+        isCi: values.ci,
+        log: writeLine,
+        patterns: lintPatterns,
+      });
+
+      process.exitCode = isSuccessful ? 0 : 1;
+      break;
+    }
+    default: {
+      process.stderr.write(`Unknown command: ${command}\n\n${usage}`);
+      process.exitCode = 1;
+    }
+  }
+}
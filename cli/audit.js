@@ -0,0 +1,39 @@
+import { relative } from "node:path";
+
+import { findRuleIssues } from "../configuration/audit.js";
+import { loadProjectConfig } from "./projectConfig.js";
+
+/**
+ * @typedef {Object} AuditOptions
+ * @property {string} cwd - Project directory, where the ESLint config is looked up from
+ * @property {(line: string) => void} log - Prints a line of output
+ */
+
+/**
+ * Prints the rules of the project's ESLint config that no longer exist, are deprecated, duplicate a core rule or fight Prettier, and fails when there is one
+ * @param {AuditOptions} options
+ * @returns {Promise<{ isSuccessful: boolean }>}
+ */
+async function runAudit({ cwd, log }) {
+  const projectConfig = await loadProjectConfig(cwd);
+
+  if (projectConfig === undefined) {
+    log(`No ESLint config file found from ${cwd}.`);
+
+    return { isSuccessful: false };
+  }
+
+  const { configDirectory, configFilePath, configs } = projectConfig;
+  const issues = await findRuleIssues(configs, { cwd: configDirectory });
+  const configFileName = relative(cwd, configFilePath);
+
+  log(
+    issues.length === 0
+      ? `No rule issues in ${configFileName}.`
+      : `${issues.length} rule issues in ${configFileName}:\n\n${issues.map(({ kind, message }) => `${kind.padEnd(10)}  ${message}`).join("\n")}`,
+  );
+
+  return { isSuccessful: issues.length === 0 };
+}
+
+export { runAudit };
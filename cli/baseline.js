@@ -0,0 +1,234 @@
+import { ESLint } from "eslint";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+
+/**
+ * @typedef {Record<string, Record<string, number>>} Baseline
+ * Error counts by file, relative to the project directory, then by rule, e.g. `{ "src/app.js": { "no-plusplus": 2 } }`
+ */
+
+/**
+ * @typedef {Object} BaselineOptions
+ * @property {string} cwd - Project directory, holding eslint.config.js and the baseline file
+ * @property {string[]} [patterns=["."]] - Files, directories or globs to lint
+ * @property {(line: string) => void} log - Prints a line of output
+ */
+
+/**
+ * @typedef {Object} BaselineResult
+ * @property {boolean} isSuccessful
+ * @property {Baseline} baseline - The baseline as written, or as it is after the run
+ */
+
+const baselineFileName = "eslint-baseline.json";
+
+/**
+ * @param {Baseline} baseline
+ * @returns {number}
+ */
+function countBaselineViolations(baseline) {
+  return Object.values(baseline)
+    .flatMap((ruleCounts) => Object.values(ruleCounts))
+    .reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Counts errors by file and rule. Warnings do not fail a run, and parse errors have no rule, so neither is recorded.
+ * @param {ESLint.LintResult[]} results
+ * @param {string} cwd
+ * @returns {Baseline} Files and rules sorted by name, so the file diffs cleanly
+ */
+function countViolations(results, cwd) {
+  return Object.fromEntries(
+    results
+      .map(({ filePath, messages }) => {
+        const ruleCounts = {};
+
+        for (const { ruleId, severity } of messages) {
+          if (severity === 2 && ruleId) {
+            ruleCounts[ruleId] = (ruleCounts[ruleId] ?? 0) + 1;
+          }
+        }
+
+        return [
+          toBaselinePath(filePath, cwd),
+          Object.fromEntries(
+            Object.entries(ruleCounts).toSorted(([first], [second]) =>
+              first.localeCompare(second),
+            ),
+          ),
+        ];
+      })
+      .filter(([, ruleCounts]) => Object.keys(ruleCounts).length > 0)
+      .toSorted(([first], [second]) => first.localeCompare(second)),
+  );
+}
+
+/**
+ * Keeps the messages of rules that break more often in a file than the baseline allows, and every warning and parse error.
+ * Which of a rule's errors are new cannot be told apart, so all of them are reported.
+ * @param {ESLint.LintResult[]} results
+ * @param {Object} context
+ * @param {Baseline} context.baseline
+ * @param {Baseline} context.currentViolations
+ * @param {string} context.cwd
+ * @returns {ESLint.LintResult[]}
+ */
+function filterBaselineViolations(
+  results,
+  { baseline, currentViolations, cwd },
+) {
+  return results.map((result) => {
+    const filePath = toBaselinePath(result.filePath, cwd);
+    const messages = result.messages.filter(
+      ({ ruleId, severity }) =>
+        severity !== 2 ||
+        !ruleId ||
+        currentViolations[filePath][ruleId] >
+          (baseline[filePath]?.[ruleId] ?? 0),
+    );
+
+    return {
+      ...result,
+      errorCount: messages.filter(({ severity }) => severity === 2).length,
+      fixableErrorCount: messages.filter(
+        ({ fix, severity }) => severity === 2 && fix,
+      ).length,
+      messages,
+    };
+  });
+}
+
+/**
+ * @param {string} cwd
+ * @returns {Baseline} An empty baseline when the file does not exist
+ */
+function readBaseline(cwd) {
+  const baselinePath = join(cwd, baselineFileName);
+
+  return existsSync(baselinePath)
+    ? JSON.parse(readFileSync(baselinePath, "utf8"))
+    : {};
+}
+
+/**
+ * Files the run did not lint keep their entries, so linting some files leaves the others' errors in the baseline
+ * @param {Baseline} baseline
+ * @param {Object} context
+ * @param {Baseline} context.currentViolations
+ * @param {string} context.cwd
+ * @param {Set<string>} context.lintedFilePaths - Relative to `cwd`, like the baseline's
+ * @returns {Baseline} The baseline with the counts of linted files lowered to the current ones, without the rules and files that no longer error or exist
+ */
+function reduceBaseline(baseline, { currentViolations, cwd, lintedFilePaths }) {
+  return Object.fromEntries(
+    Object.entries(baseline)
+      .filter(([filePath]) => existsSync(join(cwd, filePath)))
+      .map(([filePath, ruleCounts]) => [
+        filePath,
+        lintedFilePaths.has(filePath)
+          ? Object.fromEntries(
+              Object.entries(ruleCounts)
+                .map(([ruleId, count]) => [
+                  ruleId,
+                  Math.min(count, currentViolations[filePath]?.[ruleId] ?? 0),
+                ])
+                .filter(([, count]) => count > 0),
+            )
+          : ruleCounts,
+      ])
+      .filter(([, ruleCounts]) => Object.keys(ruleCounts).length > 0),
+  );
+}
+
+/**
+ * Records the current errors in eslint-baseline.json, replacing what it held
+ * @param {BaselineOptions} options
+ * @returns {Promise<BaselineResult>}
+ */
+async function runBaseline({ cwd, log, patterns = ["."] }) {
+  const eslint = new ESLint({ cwd });
+  const baseline = countViolations(await eslint.lintFiles(patterns), cwd);
+
+  writeBaseline(cwd, baseline);
+  log(
+    `Recorded ${countBaselineViolations(baseline)} errors in ${Object.keys(baseline).length} files to ${baselineFileName}.`,
+  );
+
+  return { baseline, isSuccessful: true };
+}
+
+/**
+ * Lints like `eslint`, but only reports errors beyond eslint-baseline.json.
+ * Locally, entries for fixed errors are removed from the baseline; in CI an outdated baseline fails the run, so it only ever shrinks.
+ * @param {BaselineOptions & { isCi?: boolean }} options
+ * @returns {Promise<BaselineResult>}
+ */
+async function runLint({ cwd, isCi = false, log, patterns = ["."] }) {
+  const eslint = new ESLint({ cwd });
+  const results = await eslint.lintFiles(patterns);
+  const baseline = readBaseline(cwd);
+  const currentViolations = countViolations(results, cwd);
+  const reportedResults = filterBaselineViolations(results, {
+    baseline,
+    currentViolations,
+    cwd,
+  });
+  const formatter = await eslint.loadFormatter("stylish");
+  const output = await formatter.format(reportedResults);
+
+  if (output !== "") {
+    log(output);
+  }
+
+  const hasNewErrors = reportedResults.some(({ errorCount }) => errorCount > 0);
+  const reducedBaseline = reduceBaseline(baseline, {
+    currentViolations,
+    cwd,
+    lintedFilePaths: new Set(
+      results.map(({ filePath }) => toBaselinePath(filePath, cwd)),
+    ),
+  });
+  const fixedCount =
+    countBaselineViolations(baseline) -
+    countBaselineViolations(reducedBaseline);
+
+  if (fixedCount === 0) {
+    return { baseline, isSuccessful: !hasNewErrors };
+  }
+
+  if (isCi) {
+    log(
+      `${baselineFileName} lists ${fixedCount} errors that are fixed. Run \`uba-eslint-config lint\` locally and commit ${baselineFileName}.`,
+    );
+
+    return { baseline, isSuccessful: false };
+  }
+
+  writeBaseline(cwd, reducedBaseline);
+  log(`Removed ${fixedCount} fixed errors from ${baselineFileName}.`);
+
+  return { baseline: reducedBaseline, isSuccessful: !hasNewErrors };
+}
+
+/**
+ * @param {string} filePath - Absolute, as ESLint reports it
+ * @param {string} cwd
+ * @returns {string} The path the baseline lists the file under: relative to `cwd`, with `/` separators
+ */
+function toBaselinePath(filePath, cwd) {
+  return relative(cwd, filePath).split(sep).join("/");
+}
+
+/**
+ * @param {string} cwd
+ * @param {Baseline} baseline
+ */
+function writeBaseline(cwd, baseline) {
+  writeFileSync(
+    join(cwd, baselineFileName),
+    `${JSON.stringify(baseline, null, 2)}\n`,
+  );
+}
+
+export { baselineFileName, runBaseline, runLint };
@@ -0,0 +1,219 @@
+import { ESLint } from "eslint";
+import { createTypeScriptImportResolver } from "eslint-import-resolver-typescript";
+import { relative, sep } from "node:path";
+
+/**
+ * @typedef {Object} CyclesOptions
+ * @property {string} cwd - Project directory, holding eslint.config.js
+ * @property {string[]} [patterns=["."]] - Files, directories or globs to read imports from
+ * @property {(line: string) => void} log - Prints a line of output
+ */
+
+/**
+ * @typedef {Object} CyclesResult
+ * @property {boolean} isSuccessful - Whether the project has no import cycle
+ * @property {string[][]} cycles - Files of each cycle, relative to the project directory and sorted
+ */
+
+const importGraphRuleId = "uba-import-graph/imports";
+
+/**
+ * Reports the file each runtime import resolves to, with the resolver settings the project gives `eslint-plugin-import`.
+ * Like `import/no-cycle`, it skips type-only imports and packages.
+ * @type {import("eslint").Rule.RuleModule}
+ */
+const importGraphRule = {
+  create(context) {
+    const resolverOptions =
+      context.settings["import/resolver"]?.typescript ?? {};
+    const resolver = createTypeScriptImportResolver(
+      resolverOptions === true ? {} : resolverOptions,
+    );
+
+    /**
+     * @param {import("estree").Node} node
+     * @param {import("estree").Node | null | undefined} source
+     */
+    function reportImport(node, source) {
+      if (source?.type !== "Literal" || typeof source.value !== "string") {
+        return;
+      }
+
+      const { found, path } = resolver.resolve(source.value, context.filename);
+
+      if (found && path && !path.split(sep).includes("node_modules")) {
+        context.report({ message: path, node });
+      }
+    }
+
+    return {
+      ExportAllDeclaration(node) {
+        if (node.exportKind !== "type") {
+          reportImport(node, node.source);
+        }
+      },
+      ExportNamedDeclaration(node) {
+        if (node.exportKind !== "type") {
+          reportImport(node, node.source);
+        }
+      },
+      ImportDeclaration(node) {
+        const isTypeOnly =
+          node.importKind === "type" ||
+          (node.specifiers.length > 0 &&
+            node.specifiers.every(
+              (specifier) => specifier.importKind === "type",
+            ));
+
+        if (!isTypeOnly) {
+          reportImport(node, node.source);
+        }
+      },
+      ImportExpression(node) {
+        reportImport(node, node.source);
+      },
+    };
+  },
+  meta: { schema: [], type: "problem" },
+};
+
+/**
+ * @param {ESLint.LintResult[]} results
+ * @param {string} cwd
+ * @returns {Map<string, Set<string>>} The files each file imports, relative to the project directory; only linted files are included
+ */
+function buildImportGraph(results, cwd) {
+  const lintedPaths = new Set(results.map(({ filePath }) => filePath));
+
+  return new Map(
+    results.map(({ filePath, messages }) => [
+      getProjectPath(filePath, cwd),
+      new Set(
+        messages
+          .filter(
+            ({ message, ruleId }) =>
+              ruleId === importGraphRuleId && lintedPaths.has(message),
+          )
+          .map(({ message }) => getProjectPath(message, cwd)),
+      ),
+    ]),
+  );
+}
+
+/**
+ * Finds the groups of files that import each other, directly or through other files (Tarjan's strongly connected components)
+ * @param {Map<string, Set<string>>} importGraph
+ * @returns {string[][]} Groups of two or more files, each sorted, ordered by their first file
+ */
+function findImportCycles(importGraph) {
+  /** @type {Map<string, { index: number, lowLink: number }>} */
+  const visits = new Map();
+  /** @type {string[]} */
+  const stack = [];
+  /** @type {Set<string>} */
+  const stackedFiles = new Set();
+  /** @type {string[][]} */
+  const cycles = [];
+
+  /**
+   * @param {string} file
+   */
+  function visitFile(file) {
+    const visit = { index: visits.size, lowLink: visits.size };
+
+    visits.set(file, visit);
+    stack.push(file);
+    stackedFiles.add(file);
+
+    for (const importedFile of importGraph.get(file) ?? []) {
+      if (!visits.has(importedFile)) {
+        visitFile(importedFile);
+        visit.lowLink = Math.min(
+          visit.lowLink,
+          visits.get(importedFile).lowLink,
+        );
+      } else if (stackedFiles.has(importedFile)) {
+        visit.lowLink = Math.min(visit.lowLink, visits.get(importedFile).index);
+      }
+    }
+
+    if (visit.lowLink === visit.index) {
+      const component = stack.splice(stack.indexOf(file));
+
+      for (const componentFile of component) {
+        stackedFiles.delete(componentFile);
+      }
+
+      if (component.length > 1) {
+        cycles.push(component.toSorted());
+      }
+    }
+  }
+
+  for (const file of importGraph.keys()) {
+    if (!visits.has(file)) {
+      visitFile(file);
+    }
+  }
+
+  return cycles.toSorted(([first], [second]) => first.localeCompare(second));
+}
+
+/**
+ * @param {string[][]} cycles
+ * @param {Map<string, Set<string>>} importGraph
+ * @returns {string} Each cycle with the imports between its files, one per line
+ */
+function formatImportCycles(cycles, importGraph) {
+  return cycles
+    .map((files, cycleIndex) =>
+      [
+        `Import cycle ${cycleIndex + 1} of ${cycles.length} (${files.length} files):`,
+        ...files.flatMap((file) =>
+          [...importGraph.get(file)]
+            .filter((importedFile) => files.includes(importedFile))
+            .toSorted()
+            .map((importedFile) => `  ${file} → ${importedFile}`),
+        ),
+      ].join("\n"),
+    )
+    .join("\n\n");
+}
+
+/**
+ * @param {string} path
+ * @param {string} cwd
+ * @returns {string}
+ */
+function getProjectPath(path, cwd) {
+  return relative(cwd, path).split(sep).join("/");
+}
+
+/**
+ * Prints every import cycle in the project, with the imports that close it, and fails when there is one.
+ * Reads imports with the project's own parsers and resolver settings, so aliases and TypeScript paths resolve as they do for `import/no-cycle`.
+ * @param {CyclesOptions} options
+ * @returns {Promise<CyclesResult>}
+ */
+async function runCycles({ cwd, log, patterns = ["."] }) {
+  const eslint = new ESLint({
+    cwd,
+    overrideConfig: {
+      plugins: { "uba-import-graph": { rules: { imports: importGraphRule } } },
+      rules: { [importGraphRuleId]: 2 },
+    },
+    ruleFilter: ({ ruleId }) => ruleId === importGraphRuleId,
+  });
+  const importGraph = buildImportGraph(await eslint.lintFiles(patterns), cwd);
+  const cycles = findImportCycles(importGraph);
+
+  log(
+    cycles.length === 0
+      ? `No import cycles in ${importGraph.size} files.`
+      : formatImportCycles(cycles, importGraph),
+  );
+
+  return { cycles, isSuccessful: cycles.length === 0 };
+}
+
+export { runCycles };
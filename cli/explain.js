@@ -0,0 +1,53 @@
+import { relative, resolve } from "node:path";
+
+import {
+  explainRules,
+  formatRuleExplanations,
+} from "../configuration/explain.js";
+import { loadProjectConfig } from "./projectConfig.js";
+
+/**
+ * @typedef {Object} ExplainOptions
+ * @property {string} cwd - Project directory, where the ESLint config is looked up from
+ * @property {string} filePath - File to explain, relative to `cwd`
+ * @property {boolean} [shouldIncludeOffRules=false] - Whether to list the rules turned off too, with what turned them off
+ * @property {(line: string) => void} log - Prints a line of output
+ */
+
+/**
+ * Prints the rules that apply to a file with the project's ESLint config, and the config object that last set each one
+ * @param {ExplainOptions} options
+ * @returns {Promise<{ isSuccessful: boolean }>}
+ * @throws {Error} When the file is ignored or no config object matches it
+ */
+async function runExplain({
+  cwd,
+  filePath,
+  log,
+  shouldIncludeOffRules = false,
+}) {
+  const projectConfig = await loadProjectConfig(cwd);
+
+  if (projectConfig === undefined) {
+    log(`No ESLint config file found from ${cwd}.`);
+
+    return { isSuccessful: false };
+  }
+
+  // Patterns in the config file are relative to its directory, which can be above `cwd`
+  const { configDirectory, configFilePath, configs } = projectConfig;
+  const explanations = (
+    await explainRules(configs, {
+      cwd: configDirectory,
+      filePath: relative(configDirectory, resolve(cwd, filePath)),
+    })
+  ).filter(({ severity }) => shouldIncludeOffRules || severity > 0);
+
+  log(
+    `${explanations.length} rules for ${filePath} from ${relative(cwd, configFilePath)}:\n\n${formatRuleExplanations(explanations)}`,
+  );
+
+  return { isSuccessful: true };
+}
+
+export { runExplain };
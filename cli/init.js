@@ -0,0 +1,361 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { join } from "node:path";
+
+import { detectFeatures } from "../configuration/features.js";
+
+/**
+ * @typedef {import("../eslint.config.js").AppType} AppType
+ */
+
+/**
+ * @typedef {Object} InitOptions
+ * @property {string} cwd - Project directory to scaffold into
+ * @property {AppType} [appType] - Skips the app type question when set
+ * @property {boolean} [isInteractive=true] - When false, detected values are used without asking
+ * @property {boolean} [shouldOverwrite=false] - Whether existing config files and scripts may be replaced
+ * @property {(question: string) => Promise<string>} [ask] - Asks the user a question, required when interactive
+ * @property {(line: string) => void} log - Prints a line of output
+ */
+
+/**
+ * @typedef {Object} InitResult
+ * @property {boolean} isSuccessful
+ * @property {string[]} writtenFiles - Paths relative to `cwd`
+ * @property {string[]} missingPeerDependencies
+ */
+
+const appTypes = ["fullstack", "solid", "backendOnly", "cli"];
+
+// Features backend-only and CLI projects never need, whatever their package.json says
+const browserOnlyFeatureFlags = [
+  "shouldEnableA11y",
+  "shouldEnableBrowserGlobals",
+  "shouldEnableCypress",
+  "shouldEnablePlaywright",
+  "shouldEnableQuery",
+  "shouldEnableReact",
+  "shouldEnableRouter",
+  "shouldEnableSolid",
+  "shouldEnableStorybook",
+  "shouldEnableTailwind",
+];
+
+// Order in which features are asked about
+const askedFeatureFlags = [
+  "shouldEnableTypescript",
+  "shouldEnableReact",
+  "shouldEnableSolid",
+  "shouldEnableA11y",
+  "shouldEnableQuery",
+  "shouldEnableRouter",
+  "shouldEnableTailwind",
+  "shouldEnableVitest",
+  "shouldEnableCypress",
+  "shouldEnablePlaywright",
+  "shouldEnableStorybook",
+  "shouldEnableGraphql",
+];
+
+/** @type {Record<string, string[]>} */
+const optionalPeerDependenciesByFeature = {
+  shouldEnableStorybook: ["eslint-plugin-storybook", "storybook"],
+  shouldEnableTailwind: ["eslint-plugin-tailwindcss", "tailwindcss"],
+};
+
+const packageScripts = {
+  format: "prettier --write .",
+  "format:check": "prettier --check .",
+  lint: "eslint .",
+  "lint:fix": "eslint --fix .",
+};
+
+const eslintConfigFileName = "eslint.config.js";
+
+const prettierConfigFileName = "prettier.config.js";
+
+/**
+ * @param {AppType} appType
+ * @param {Record<string, boolean>} featureFlags
+ * @returns {Record<string, boolean>}
+ */
+function applyAppTypeToFeatureFlags(appType, featureFlags) {
+  if (appType === "fullstack") {
+    return { ...featureFlags, shouldEnableNode: false };
+  }
+
+  // SolidStart brings its own router
+  if (appType === "solid") {
+    return {
+      ...featureFlags,
+      shouldEnableNode: false,
+      shouldEnableReact: false,
+      shouldEnableRouter: false,
+      shouldEnableSolid: true,
+    };
+  }
+
+  // The Node.js checks are those of `generateEslintConfig`'s backendOnly
+  return {
+    ...featureFlags,
+    ...Object.fromEntries(
+      browserOnlyFeatureFlags.map((featureFlag) => [featureFlag, false]),
+    ),
+    shouldEnableNode: appType === "backendOnly",
+    ...(appType === "cli" ? { shouldEnableCliConsole: true } : {}),
+  };
+}
+
+/**
+ * @param {(question: string) => Promise<string>} ask
+ * @param {AppType} detectedAppType
+ * @returns {Promise<AppType>}
+ */
+async function askAppType(ask, detectedAppType) {
+  const answer = (
+    await ask(`App type (${appTypes.join("/")}) [${detectedAppType}]: `)
+  ).trim();
+
+  if (answer === "") {
+    return detectedAppType;
+  }
+
+  if (appTypes.includes(answer)) {
+    return answer;
+  }
+
+  return askAppType(ask, detectedAppType);
+}
+
+/**
+ * @param {(question: string) => Promise<string>} ask
+ * @param {Record<string, boolean>} featureFlags
+ * @returns {Promise<Record<string, boolean>>}
+ */
+async function askFeatureFlags(ask, featureFlags) {
+  const answeredFlags = { ...featureFlags };
+
+  for (const featureFlag of askedFeatureFlags) {
+    const isDetected = answeredFlags[featureFlag] ?? false;
+    // eslint-disable-next-line no-await-in-loop -- questions are asked one at a time
+    const answer = await ask(
+      `Enable ${featureFlag.replace("shouldEnable", "")}? ${isDetected ? "[Y/n]" : "[y/N]"}: `,
+    );
+
+    answeredFlags[featureFlag] = parseYesNo(answer, isDetected);
+  }
+
+  return answeredFlags;
+}
+
+/**
+ * @param {Record<string, boolean>} featureFlags
+ * @returns {string}
+ */
+function buildEslintConfigSource(featureFlags) {
+  const optionLines = Object.keys(featureFlags)
+    .sort()
+    .map((featureFlag) => `  ${featureFlag}: ${featureFlags[featureFlag]},`);
+
+  return [
+    'import { generateEslintConfigByFeatures } from "uba-eslint-config";',
+    "",
+    "export default generateEslintConfigByFeatures({",
+    '  importCycleCheckMode: process.env.CI ? "on" : "off",',
+    ...optionLines,
+    "});",
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {AppType} appType
+ * @returns {string}
+ */
+function buildPrettierConfigSource(appType) {
+  return [
+    'import { generatePrettierConfig } from "uba-eslint-config";',
+    "",
+    `export default generatePrettierConfig({ appType: "${appType}" });`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {Record<string, boolean>} detectedFlags
+ * @returns {AppType} The app type of the detected UI framework, or 'backendOnly' without one
+ */
+function detectAppType({ shouldEnableReact, shouldEnableSolid }) {
+  if (shouldEnableSolid) {
+    return "solid";
+  }
+
+  return shouldEnableReact ? "fullstack" : "backendOnly";
+}
+
+/**
+ * @param {string} cwd
+ * @param {Record<string, boolean>} featureFlags
+ * @returns {string[]} Optional peer dependencies of enabled features that cannot be resolved from `cwd`
+ */
+function findMissingPeerDependencies(cwd, featureFlags) {
+  const projectRequire = createRequire(join(cwd, "package.json"));
+
+  return Object.entries(optionalPeerDependenciesByFeature)
+    .filter(([featureFlag]) => featureFlags[featureFlag])
+    .flatMap(([, dependencyNames]) => dependencyNames)
+    .filter((dependencyName) => {
+      try {
+        projectRequire.resolve(dependencyName);
+
+        return false;
+      } catch {
+        return true;
+      }
+    });
+}
+
+/**
+ * @param {string} answer
+ * @param {boolean} defaultValue
+ * @returns {boolean}
+ */
+function parseYesNo(answer, defaultValue) {
+  const normalizedAnswer = answer.trim().toLowerCase();
+
+  if (normalizedAnswer === "") {
+    return defaultValue;
+  }
+
+  return normalizedAnswer === "y" || normalizedAnswer === "yes";
+}
+
+/**
+ * Scaffolds eslint.config.js and prettier.config.js and adds lint/format scripts to package.json
+ * @param {InitOptions} options
+ * @returns {Promise<InitResult>}
+ */
+async function runInit({
+  appType,
+  ask,
+  cwd,
+  isInteractive = true,
+  log,
+  shouldOverwrite = false,
+}) {
+  const packageJsonPath = join(cwd, "package.json");
+
+  if (!existsSync(packageJsonPath)) {
+    log(`No package.json in ${cwd}. Run init from the root of your project.`);
+
+    return {
+      isSuccessful: false,
+      missingPeerDependencies: [],
+      writtenFiles: [],
+    };
+  }
+
+  const existingConfigFiles = [
+    eslintConfigFileName,
+    prettierConfigFileName,
+  ].filter((fileName) => existsSync(join(cwd, fileName)));
+
+  if (existingConfigFiles.length > 0 && !shouldOverwrite) {
+    log(
+      `Refusing to overwrite ${existingConfigFiles.join(" and ")}. Re-run with --force to replace them.`,
+    );
+
+    return {
+      isSuccessful: false,
+      missingPeerDependencies: [],
+      writtenFiles: [],
+    };
+  }
+
+  const { options: detectedFlags } = detectFeatures({ rootDir: cwd });
+  const detectedAppType = detectAppType(detectedFlags);
+  const shouldAsk = isInteractive && ask !== undefined;
+  const selectedAppType =
+    appType ??
+    (shouldAsk ? await askAppType(ask, detectedAppType) : detectedAppType);
+  const constrainedFlags = applyAppTypeToFeatureFlags(
+    selectedAppType,
+    detectedFlags,
+  );
+  const featureFlags = applyAppTypeToFeatureFlags(
+    selectedAppType,
+    shouldAsk ? await askFeatureFlags(ask, constrainedFlags) : constrainedFlags,
+  );
+
+  writeFileSync(
+    join(cwd, eslintConfigFileName),
+    buildEslintConfigSource(featureFlags),
+  );
+  writeFileSync(
+    join(cwd, prettierConfigFileName),
+    buildPrettierConfigSource(selectedAppType),
+  );
+  log(`Wrote ${eslintConfigFileName} and ${prettierConfigFileName}.`);
+
+  const addedScripts = writePackageScripts(packageJsonPath, shouldOverwrite);
+
+  log(
+    addedScripts.length > 0
+      ? `Added package.json scripts: ${addedScripts.join(", ")}.`
+      : "package.json already has lint and format scripts.",
+  );
+
+  const missingPeerDependencies = findMissingPeerDependencies(
+    cwd,
+    featureFlags,
+  );
+
+  if (missingPeerDependencies.length > 0) {
+    log(
+      `Missing optional peer dependencies for the enabled features: ${missingPeerDependencies.join(", ")}`,
+    );
+    log(`  pnpm add -D ${missingPeerDependencies.join(" ")}`);
+  }
+
+  return {
+    isSuccessful: true,
+    missingPeerDependencies,
+    writtenFiles: [
+      eslintConfigFileName,
+      prettierConfigFileName,
+      "package.json",
+    ],
+  };
+}
+
+/**
+ * @param {string} packageJsonPath
+ * @param {boolean} shouldOverwrite
+ * @returns {string[]} Names of the scripts that were written
+ */
+function writePackageScripts(packageJsonPath, shouldOverwrite) {
+  const packageJson = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+  const scripts = packageJson.scripts ?? {};
+  const addedScripts = Object.keys(packageScripts).filter(
+    (scriptName) => shouldOverwrite || scripts[scriptName] === undefined,
+  );
+
+  if (addedScripts.length === 0) {
+    return [];
+  }
+
+  packageJson.scripts = {
+    ...scripts,
+    ...Object.fromEntries(
+      addedScripts.map((scriptName) => [
+        scriptName,
+        packageScripts[scriptName],
+      ]),
+    ),
+  };
+  writeFileSync(packageJsonPath, `${JSON.stringify(packageJson, null, 2)}\n`);
+
+  return addedScripts;
+}
+
+export { appTypes, runInit };
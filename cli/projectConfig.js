@@ -0,0 +1,39 @@
+import { ESLint } from "eslint";
+import { dirname } from "node:path";
+import { pathToFileURL } from "node:url";
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string} configFilePath - Absolute path of the ESLint config file
+ * @property {string} configDirectory - Directory `files` and `ignores` patterns in the config are relative to
+ * @property {import("eslint").Linter.Config[]} configs - The config array the file exports
+ */
+
+/**
+ * @param {string} configFilePath
+ * @returns {Promise<ProjectConfig>}
+ */
+async function importProjectConfig(configFilePath) {
+  const { default: configs } = await import(pathToFileURL(configFilePath).href);
+
+  return {
+    configDirectory: dirname(configFilePath),
+    configFilePath,
+    configs: await configs,
+  };
+}
+
+/**
+ * Loads the ESLint config file that `eslint` would use in a directory
+ * @param {string} cwd
+ * @returns {Promise<ProjectConfig | undefined>} `undefined` when there is no config file
+ */
+async function loadProjectConfig(cwd) {
+  const configFilePath = await new ESLint({ cwd }).findConfigFile();
+
+  return configFilePath === undefined
+    ? undefined
+    : importProjectConfig(configFilePath);
+}
+
+export { loadProjectConfig };
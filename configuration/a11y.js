@@ -1,10 +1,28 @@
-import a11yPlugin from "eslint-plugin-jsx-a11y";
+import { requirePlugin } from "./pluginLoader.js";
 
-/** @type {import("eslint").Linter.Config} */
-const a11yConfig = {
-  files: ["**/*.tsx", "**/*.jsx"],
-  plugins: { "jsx-a11y": a11yPlugin },
-  rules: a11yPlugin.configs.recommended.rules,
-};
+/**
+ * @typedef {Object} A11yOptions
+ * @property {string[]} [labelForProps] - Props that tie a `<label>` to its control, e.g. `["for"]` in Solid; React's `htmlFor` when omitted
+ */
 
-export default a11yConfig;
+/**
+ * @param {A11yOptions} [options]
+ * @returns {import("eslint").Linter.Config}
+ */
+function getA11yConfig({ labelForProps } = {}) {
+  const a11yPlugin = requirePlugin(
+    "eslint-plugin-jsx-a11y",
+    "Accessibility linting requires eslint-plugin-jsx-a11y@^6.10.2.",
+  );
+
+  return {
+    files: ["**/*.tsx", "**/*.jsx"],
+    plugins: { "jsx-a11y": a11yPlugin },
+    rules: a11yPlugin.configs.recommended.rules,
+    ...(labelForProps
+      ? { settings: { "jsx-a11y": { attributes: { for: labelForProps } } } }
+      : {}),
+  };
+}
+
+export { getA11yConfig };
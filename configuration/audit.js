@@ -0,0 +1,215 @@
+import { ESLint } from "eslint";
+import eslintConfigPrettier from "eslint-config-prettier";
+import { builtinRules } from "eslint/use-at-your-own-risk";
+
+/**
+ * @typedef {import("eslint").Linter.Config} ESLintConfig
+ */
+
+/**
+ * @typedef {'removed' | 'deprecated' | 'duplicate' | 'prettier'} AuditIssueKind
+ * - removed: the rule is configured, but ESLint core or its plugin no longer defines it
+ * - deprecated: the rule is on, but deprecated
+ * - duplicate: the rule is on, and so is the ESLint core rule it re-implements
+ * - prettier: the rule is on, but checks formatting Prettier owns
+ */
+
+/**
+ * @typedef {Object} AuditIssue
+ * @property {AuditIssueKind} kind
+ * @property {string} ruleId
+ * @property {string} message
+ */
+
+/**
+ * One file per kind of file the features configure, to compute the rules each one ends up with
+ */
+const auditedFilePaths = [
+  "src/index.js",
+  "src/index.ts",
+  "src/App.jsx",
+  "src/App.tsx",
+  "src/App.test.tsx",
+  "src/App.stories.tsx",
+  "src/routes/index.tsx",
+  "cypress/e2e/app.cy.ts",
+  "e2e/app.spec.ts",
+  "tests/app.test.ts",
+];
+
+// Plugin rules named after a core rule that check something else, e.g. `unicorn/no-lonely-if` merges nested `if`s while `no-lonely-if` merges `else { if }`
+const unrelatedNamesakeRules = new Set([
+  "playwright/no-eval",
+  "unicorn/no-lonely-if",
+  "unicorn/prefer-spread",
+]);
+
+/**
+ * @param {string} ruleId
+ * @param {import("eslint").Rule.RuleModule | undefined} rule
+ * @returns {string | undefined} The core rule a plugin rule re-implements: the one its metadata names, or its namesake
+ */
+function findCoreEquivalent(ruleId, rule) {
+  const [pluginName, ruleName] = splitRuleId(ruleId);
+  const extendedRuleName = rule?.meta?.docs?.extendsBaseRule;
+  const coreRuleId =
+    typeof extendedRuleName === "string" ? extendedRuleName : ruleName;
+
+  return pluginName !== undefined &&
+    !unrelatedNamesakeRules.has(ruleId) &&
+    builtinRules.has(coreRuleId)
+    ? coreRuleId
+    : undefined;
+}
+
+/**
+ * @param {import("eslint").Rule.RuleModule} rule
+ * @returns {string[]} The rules a deprecated rule points to, in either of the formats plugins use
+ */
+function findReplacements(rule) {
+  const { deprecated, replacedBy = [] } = rule.meta;
+  const deprecatedReplacements =
+    typeof deprecated === "object" ? (deprecated.replacedBy ?? []) : [];
+
+  return [
+    ...new Set(
+      [...replacedBy, ...deprecatedReplacements].map((replacement) => {
+        if (typeof replacement === "string") {
+          return replacement;
+        }
+
+        return replacement.plugin
+          ? `${replacement.rule.name} from ${replacement.plugin.name}`
+          : replacement.rule.name;
+      }),
+    ),
+  ];
+}
+
+/**
+ * @param {string} ruleId
+ * @param {Record<string, import("eslint").ESLint.Plugin>} plugins
+ * @returns {import("eslint").Rule.RuleModule | undefined}
+ */
+function findRule(ruleId, plugins) {
+  const [pluginName, ruleName] = splitRuleId(ruleId);
+
+  return pluginName === undefined
+    ? builtinRules.get(ruleName)
+    : plugins[pluginName]?.rules?.[ruleName];
+}
+
+/**
+ * Checks a config against the installed ESLint core and plugins: rules that no longer exist, deprecated rules that are on,
+ * plugin rules on together with the core rule they re-implement, and formatting rules that fight Prettier
+ * @param {ESLintConfig[]} configs - A flat config array, as eslint.config.js exports it
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Directory `files` patterns are relative to
+ * @param {string[]} [options.filePaths] - Files whose rules are checked, relative to `cwd`; one of each kind the features configure when omitted
+ * @returns {Promise<AuditIssue[]>} Sorted by rule, then kind
+ */
+async function findRuleIssues(
+  configs,
+  { cwd = process.cwd(), filePaths = auditedFilePaths } = {},
+) {
+  const flatConfigs = configs.flat(Number.POSITIVE_INFINITY);
+  const plugins = Object.assign(
+    {},
+    ...flatConfigs.map((config) => config.plugins ?? {}),
+  );
+  const eslint = new ESLint({
+    baseConfig: flatConfigs,
+    cwd,
+    overrideConfigFile: true,
+  });
+  /** @type {Map<string, AuditIssue>} */
+  const issues = new Map();
+
+  /**
+   * @param {AuditIssueKind} kind
+   * @param {string} ruleId
+   * @param {string} message
+   */
+  function addIssue(kind, ruleId, message) {
+    issues.set(`${ruleId} ${kind}`, { kind, message, ruleId });
+  }
+
+  for (const ruleId of flatConfigs.flatMap((config) =>
+    Object.keys(config.rules ?? {}),
+  )) {
+    const [pluginName] = splitRuleId(ruleId);
+
+    // A config may switch off rules of a plugin it does not load, in case the project does
+    if (
+      (pluginName === undefined || plugins[pluginName] !== undefined) &&
+      findRule(ruleId, plugins) === undefined
+    ) {
+      addIssue(
+        "removed",
+        ruleId,
+        `${ruleId} is not defined by ${pluginName ?? "ESLint core"}; remove it.`,
+      );
+    }
+  }
+
+  const fileConfigs = await Promise.all(
+    filePaths.map((filePath) => eslint.calculateConfigForFile(filePath)),
+  );
+
+  for (const fileConfig of fileConfigs) {
+    const enabledRuleIds = Object.entries(fileConfig?.rules ?? {})
+      .filter(([, [severity]]) => severity > 0)
+      .map(([ruleId]) => ruleId);
+
+    for (const ruleId of enabledRuleIds) {
+      const rule = findRule(ruleId, plugins);
+      const coreRuleId = findCoreEquivalent(ruleId, rule);
+
+      if (rule?.meta?.deprecated) {
+        const replacements = findReplacements(rule);
+
+        addIssue(
+          "deprecated",
+          ruleId,
+          `${ruleId} is deprecated${replacements.length > 0 ? `; use ${replacements.join(" or ")} instead` : ""}.`,
+        );
+      }
+
+      if (coreRuleId !== undefined && enabledRuleIds.includes(coreRuleId)) {
+        addIssue(
+          "duplicate",
+          ruleId,
+          `${ruleId} and ${coreRuleId} are both on; turn one off.`,
+        );
+      }
+
+      if (eslintConfigPrettier.rules[ruleId] === "off") {
+        addIssue(
+          "prettier",
+          ruleId,
+          `${ruleId} checks formatting that Prettier owns; turn it off.`,
+        );
+      }
+    }
+  }
+
+  return [...issues.values()].toSorted(
+    (first, second) =>
+      first.ruleId.localeCompare(second.ruleId) ||
+      first.kind.localeCompare(second.kind),
+  );
+}
+
+/**
+ * @param {string} ruleId - e.g. `no-var`, `react/jsx-key` or `@tanstack/query/exhaustive-deps`
+ * @returns {[pluginName: string | undefined, ruleName: string]}
+ */
+function splitRuleId(ruleId) {
+  const separatorIndex = ruleId.lastIndexOf("/");
+
+  return separatorIndex === -1
+    ? [undefined, ruleId]
+    : [ruleId.slice(0, separatorIndex), ruleId.slice(separatorIndex + 1)];
+}
+
+export { findRuleIssues };
@@ -1,29 +1,163 @@
 import canonicalPlugin from "eslint-plugin-canonical";
-import { dirname, resolve } from "node:path";
-import { fileURLToPath } from "node:url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-/** @type {import("eslint").Linter.Config} */
-const canonicalConfig = {
-  plugins: { canonical: canonicalPlugin },
-  rules: {
-    "canonical/prefer-import-alias": [
-      2,
-      {
-        aliases: [
-          {
-            alias: "@/",
-            // the __dirname once this is installed as a package will be /node_modules/@uba/eslint-config/
-            matchParent: resolve(__dirname, "../../../../src"),
-            matchPath: "^src\\/",
-          },
-          { alias: "@/", matchPath: "^src\\/", maxRelativeDepth: 2 },
-        ],
-      },
-    ],
-  },
-};
-
-export default canonicalConfig;
+import { existsSync } from "node:fs";
+import { createRequire } from "node:module";
+import { dirname, relative, resolve, sep } from "node:path";
+
+const require = createRequire(import.meta.url);
+
+// Looked up in this order, like editors do for projects without TypeScript
+const tsconfigFileNames = ["tsconfig.json", "jsconfig.json"];
+
+/** @type {ImportAliases} */
+const defaultImportAliases = { "@/": "src" };
+
+/**
+ * @typedef {Record<string, string | string[]>} ImportAliases
+ * Alias prefixes mapped to the directories they stand for, relative to the project root, e.g. `{ "#/": "src", "~/": ["app", "lib"] }`
+ */
+
+/**
+ * @typedef {Object} CanonicalOptions
+ * @property {ImportAliases} [importAliases] - Aliases added to, or replacing, those read from tsconfig `paths`
+ * @property {string} [rootDir=process.cwd()] - Project root holding tsconfig.json or jsconfig.json
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replaceAll(/[$()*+./?[\\\]^{|}]/gu, String.raw`\$&`);
+}
+
+/**
+ * Reads `compilerOptions.paths` of the project's tsconfig.json or jsconfig.json, following `extends`.
+ * Only wildcard patterns become aliases: `"@/*": ["./src/*"]` gives `{ "@/": [<rootDir>/src] }`.
+ * @param {string} rootDir
+ * @returns {Record<string, string[]>} Alias prefixes mapped to absolute directories
+ * @throws {Error} When the config file cannot be parsed
+ */
+function findTsconfigImportAliases(rootDir) {
+  const configPath = tsconfigFileNames
+    .map((fileName) => resolve(rootDir, fileName))
+    .find((path) => existsSync(path));
+
+  if (!configPath) {
+    return {};
+  }
+
+  const typescript = require("typescript");
+  const { config, error } = typescript.readConfigFile(
+    configPath,
+    typescript.sys.readFile,
+  );
+
+  if (error) {
+    throw new Error(
+      `Cannot read import aliases from ${configPath}: ${typescript.flattenDiagnosticMessageText(error.messageText, "\n")}`,
+    );
+  }
+
+  // Only the compiler options are needed, so skip listing the project's files
+  const { options } = typescript.parseJsonConfigFileContent(
+    config,
+    { ...typescript.sys, readDirectory: () => [] },
+    dirname(configPath),
+    undefined,
+    configPath,
+  );
+  // Without `baseUrl`, paths are relative to the config file that declares them, which may be an extended one
+  const pathsDirectory =
+    options.baseUrl ?? options.pathsBasePath ?? dirname(configPath);
+
+  return Object.fromEntries(
+    Object.entries(options.paths ?? {})
+      .filter(([pattern]) => pattern.length > 1 && pattern.endsWith("*"))
+      .map(([pattern, targets]) => [
+        pattern.slice(0, -1),
+        targets
+          .filter((target) => target.endsWith("*"))
+          .map((target) => resolve(pathsDirectory, target.slice(0, -1))),
+      ])
+      .filter(([, directories]) => directories.length > 0),
+  );
+}
+
+/**
+ * @param {CanonicalOptions} options
+ * @returns {import("eslint").Linter.Config}
+ */
+function getCanonicalConfig({ importAliases, rootDir = process.cwd() }) {
+  return {
+    plugins: { canonical: canonicalPlugin },
+    rules: {
+      "canonical/prefer-import-alias": getImportAliasRule({
+        importAliases,
+        rootDir,
+      }),
+    },
+  };
+}
+
+/**
+ * Requires an alias for relative imports that climb to an alias directory, or two or more levels up.
+ * Aliases come from tsconfig `paths` merged with `importAliases`, falling back to `@/` for `src`.
+ * @param {CanonicalOptions} options
+ * @returns {import("eslint").Linter.RuleEntry}
+ */
+function getImportAliasRule({ importAliases = {}, rootDir = process.cwd() }) {
+  const aliases = {
+    ...findTsconfigImportAliases(rootDir),
+    ...resolveImportAliases(importAliases, rootDir),
+  };
+  const directoriesByAlias =
+    Object.keys(aliases).length > 0
+      ? aliases
+      : resolveImportAliases(defaultImportAliases, rootDir);
+
+  return [
+    2,
+    {
+      aliases: Object.entries(directoriesByAlias)
+        .flatMap(([alias, directories]) =>
+          directories.map((directory) => ({ alias, directory })),
+        )
+        // The rule stops at the first matching alias, so nested directories go before their parents
+        .toSorted(
+          (first, second) => second.directory.length - first.directory.length,
+        )
+        .flatMap(({ alias, directory }) => {
+          const relativeDirectory = relative(rootDir, directory)
+            .split(sep)
+            .join("/");
+          const matchPath = relativeDirectory
+            ? `^${escapeRegExp(relativeDirectory)}\\/`
+            : "^";
+
+          return [
+            // `./` imports stay in their own directory, so only those climbing into the alias directory count
+            { alias, matchParent: directory, matchPath, maxRelativeDepth: 1 },
+            { alias, matchPath, maxRelativeDepth: 2 },
+          ];
+        }),
+      // Import paths are matched relative to this; the rule's schema calls it `cwd` but reads `baseDirectory`
+      baseDirectory: rootDir,
+    },
+  ];
+}
+
+/**
+ * @param {ImportAliases} importAliases
+ * @param {string} rootDir
+ * @returns {Record<string, string[]>} Alias prefixes mapped to absolute directories
+ */
+function resolveImportAliases(importAliases, rootDir) {
+  return Object.fromEntries(
+    Object.entries(importAliases).map(([alias, directories]) => [
+      alias,
+      [directories].flat().map((directory) => resolve(rootDir, directory)),
+    ]),
+  );
+}
+
+export { getCanonicalConfig };
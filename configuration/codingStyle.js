@@ -0,0 +1,17 @@
+import ubaPlugin from "../plugin/index.js";
+
+/** @type {import("eslint").Linter.Config} */
+const codingStyleConfig = {
+  files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+  plugins: { uba: ubaPlugin },
+  rules: {
+    // Superseded by uba/prefer-options-object, which leaves callbacks alone since their callee fixes the signature
+    "max-params": 0,
+    "uba/prefer-immutable-return": 2,
+    "uba/prefer-options-last": 2,
+    "uba/prefer-options-object": [2, { max: 3 }],
+    "uba/require-unit-suffix": 2,
+  },
+};
+
+export default codingStyleConfig;
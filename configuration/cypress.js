@@ -1,35 +1,54 @@
-import cypressPlugin from "eslint-plugin-cypress/flat";
 import globals from "globals";
 
-/** @type {import("eslint").Linter.Config} */
-const cypressConfig = {
-  files: ["cypress/**/*.ts", "cypress/**/*.tsx", "**/*.test.tsx"],
-  languageOptions: {
-    globals: {
-      // Cypress testing utilities (false = not read-only, allows mocking/stubbing)
-      assert: false,
-      chai: false,
-      cy: false,
-      Cypress: false,
-      expect: false,
-      // Browser APIs for test environment
-      ...globals.browser,
-      // Mocha test runner globals
-      ...globals.mocha,
+import { requirePlugin } from "./pluginLoader.js";
+
+const cypressDirectoryFiles = ["cypress/**/*.ts", "cypress/**/*.tsx"];
+
+// `*.test.tsx` files are Cypress component tests, unless Vitest runs them
+const cypressFiles = [...cypressDirectoryFiles, "**/*.test.tsx"];
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Globs of the Cypress tests; `cypressFiles` when omitted
+ * @param {string[]} [options.ignores=[]] - Globs of test files another runner owns
+ * @returns {import("eslint").Linter.Config}
+ */
+function getCypressConfig({ files = cypressFiles, ignores = [] } = {}) {
+  const cypressPlugin = requirePlugin(
+    "eslint-plugin-cypress/flat",
+    "Cypress linting requires eslint-plugin-cypress@^5.3.0.",
+  );
+
+  return {
+    files,
+    ignores,
+    languageOptions: {
+      globals: {
+        // Cypress testing utilities (false = not read-only, allows mocking/stubbing)
+        assert: false,
+        chai: false,
+        cy: false,
+        Cypress: false,
+        expect: false,
+        // Browser APIs for test environment
+        ...globals.browser,
+        // Mocha test runner globals
+        ...globals.mocha,
+      },
+    },
+    plugins: { cypress: cypressPlugin },
+    rules: {
+      "cypress/assertion-before-screenshot": "warn",
+      "cypress/no-assigning-return-values": "error",
+      "cypress/no-async-tests": "error",
+      "cypress/no-force": "warn",
+      "cypress/no-pause": "error",
+      "cypress/no-unnecessary-waiting": "error",
+      "promise/always-return": "off",
+      "promise/catch-or-return": "off",
+      "promise/prefer-await-to-then": "off",
     },
-  },
-  plugins: { cypress: cypressPlugin },
-  rules: {
-    "cypress/assertion-before-screenshot": "warn",
-    "cypress/no-assigning-return-values": "error",
-    "cypress/no-async-tests": "error",
-    "cypress/no-force": "warn",
-    "cypress/no-pause": "error",
-    "cypress/no-unnecessary-waiting": "error",
-    "promise/always-return": "off",
-    "promise/catch-or-return": "off",
-    "promise/prefer-await-to-then": "off",
-  },
-};
+  };
+}
 
-export default cypressConfig;
+export { cypressDirectoryFiles, cypressFiles, getCypressConfig };
@@ -31,7 +31,7 @@ const deprecatedESlintStylisticRules = {
   "newline-per-chained-call": 0,
   "no-confusing-arrow": 0,
   "no-extra-parens": 0,
-  "no-extra-semi": 2,
+  "no-extra-semi": 0,
   "no-floating-decimal": 0,
   "no-mixed-operators": 0,
   "no-mixed-spaces-and-tabs": 0,
@@ -170,7 +170,7 @@ const eslintConfig = {
     "no-misleading-character-class": 0,
     "no-multi-assign": 2,
     "no-multi-str": 0,
-    "no-negated-condition": 2,
+    "no-negated-condition": 0,
     "no-nested-ternary": 2,
     "no-new": 2,
     "no-new-func": 2,
@@ -0,0 +1,122 @@
+import { ESLint } from "eslint";
+
+/**
+ * @typedef {import("eslint").Linter.Config} ESLintConfig
+ */
+
+/**
+ * @typedef {Object} RuleExplanation
+ * @property {string} ruleId
+ * @property {0 | 1 | 2} severity
+ * @property {unknown[]} options - Empty when the rule runs with its defaults
+ * @property {string} configName - Name of the config object that last set the rule, or its position, e.g. `config #3`, when it has none
+ */
+
+const matchMarkerPrefix = "uba-explain/";
+
+/**
+ * Lists every rule configured for a file, and which config object set it last, i.e. the one that wins
+ * @param {ESLintConfig[]} configs - A flat config array, as eslint.config.js exports it
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Directory `files` and `ignores` patterns are relative to
+ * @param {string} options.filePath - File to explain, relative to `cwd`
+ * @returns {Promise<RuleExplanation[]>} Sorted by rule
+ * @throws {Error} When the file is ignored or no config object matches it
+ */
+async function explainRules(configs, { cwd = process.cwd(), filePath }) {
+  const flatConfigs = configs.flat(Number.POSITIVE_INFINITY);
+  // Settings are merged across every object that matches the file, so a marker per object reveals which ones do
+  const markedConfigs = flatConfigs.map((config, index) =>
+    isGlobalIgnores(config)
+      ? config
+      : {
+          ...config,
+          settings: { ...config.settings, [`${matchMarkerPrefix}${index}`]: 1 },
+        },
+  );
+  const eslint = new ESLint({
+    baseConfig: markedConfigs,
+    cwd,
+    overrideConfigFile: true,
+  });
+  const fileConfig = await eslint.calculateConfigForFile(filePath);
+
+  if (fileConfig === undefined) {
+    throw new Error(
+      `No config applies to ${filePath}: it is ignored or matches no \`files\` pattern.`,
+    );
+  }
+
+  const matchedIndexes = flatConfigs
+    .map((config, index) => index)
+    .filter((index) => fileConfig.settings[`${matchMarkerPrefix}${index}`]);
+
+  return Object.entries(fileConfig.rules)
+    .map(([ruleId, [severity, ...options]]) => {
+      const setterIndex = matchedIndexes.findLast((index) =>
+        Object.hasOwn(flatConfigs[index].rules ?? {}, ruleId),
+      );
+
+      return {
+        configName: flatConfigs[setterIndex].name ?? `config #${setterIndex}`,
+        options,
+        ruleId,
+        severity,
+      };
+    })
+    .toSorted((first, second) => first.ruleId.localeCompare(second.ruleId));
+}
+
+/**
+ * @param {RuleExplanation[]} explanations
+ * @returns {string} One line per rule: severity, rule, the config object that set it, and its options
+ */
+function formatRuleExplanations(explanations) {
+  const severityLabels = ["off", "warn", "error"];
+  const ruleIdWidth = Math.max(
+    ...explanations.map(({ ruleId }) => ruleId.length),
+  );
+  const configNameWidth = Math.max(
+    ...explanations.map(({ configName }) => configName.length),
+  );
+
+  return explanations
+    .map(({ configName, options, ruleId, severity }) =>
+      [
+        severityLabels[severity].padEnd(5),
+        ruleId.padEnd(ruleIdWidth),
+        options.length > 0
+          ? `${configName.padEnd(configNameWidth)}  ${JSON.stringify(options)}`
+          : configName,
+      ].join("  "),
+    )
+    .join("\n");
+}
+
+/**
+ * @param {ESLintConfig} config
+ * @returns {boolean} Whether the object only holds `ignores`, which ESLint then applies to every config object
+ */
+function isGlobalIgnores(config) {
+  return (
+    config.ignores !== undefined &&
+    Object.keys(config).every((key) => key === "ignores" || key === "name")
+  );
+}
+
+/**
+ * Names config objects for `explain` and ESLint's config inspector, keeping the name a plugin gave its own config
+ * @param {ESLintConfig | ESLintConfig[]} configs
+ * @param {string} name - e.g. `uba/react`
+ * @returns {ESLintConfig[]}
+ */
+function nameConfigs(configs, name) {
+  return [configs]
+    .flat()
+    .map((config) => ({
+      ...config,
+      name: config.name ? `${name} (${config.name})` : name,
+    }));
+}
+
+export { explainRules, formatRuleExplanations, nameConfigs };
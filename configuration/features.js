@@ -0,0 +1,197 @@
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+
+/**
+ * @typedef {Object} FeatureDetection
+ * @property {string} feature - Name of the `shouldEnable*` flag without its prefix, e.g. `React`
+ * @property {boolean} isEnabled - Whether the feature was detected
+ * @property {string} reason - What was found (or not found) that decided it
+ */
+
+/**
+ * @typedef {Object} DetectedFeatures
+ * @property {string | undefined} packageJsonPath - Nearest package.json, if any
+ * @property {FeatureDetection[]} detections - One entry per feature, in a stable order
+ * @property {Record<string, boolean>} options - `shouldEnable*` flags for `generateEslintConfigByFeatures`
+ */
+
+/**
+ * @typedef {Object} FeatureRule
+ * @property {string} feature
+ * @property {string[]} dependencies - Any of these in dependencies, devDependencies or peerDependencies enables the feature
+ * @property {string[]} [files] - Any of these next to the package.json enables the feature
+ */
+
+/** @type {FeatureRule[]} */
+const featureRules = [
+  {
+    dependencies: ["typescript"],
+    feature: "Typescript",
+    files: ["tsconfig.json"],
+  },
+  { dependencies: ["react", "react-dom", "next"], feature: "React" },
+  { dependencies: ["solid-js", "@solidjs/start"], feature: "Solid" },
+  {
+    dependencies: ["@tanstack/react-query", "@tanstack/query-core"],
+    feature: "Query",
+  },
+  {
+    dependencies: ["@tanstack/react-router", "@tanstack/react-start"],
+    feature: "Router",
+  },
+  {
+    dependencies: ["cypress"],
+    feature: "Cypress",
+    files: ["cypress.config.ts", "cypress.config.js", "cypress.config.mjs"],
+  },
+  {
+    dependencies: ["@playwright/test", "playwright"],
+    feature: "Playwright",
+    files: [
+      "playwright.config.ts",
+      "playwright.config.js",
+      "playwright.config.mjs",
+    ],
+  },
+  {
+    dependencies: ["vitest"],
+    feature: "Vitest",
+    files: ["vitest.config.ts", "vitest.config.js", "vitest.config.mts"],
+  },
+  { dependencies: ["storybook"], feature: "Storybook", files: [".storybook"] },
+  {
+    dependencies: ["graphql"],
+    feature: "Graphql",
+    files: [
+      ".graphqlrc",
+      ".graphqlrc.yml",
+      ".graphqlrc.json",
+      "graphql.config.ts",
+      "graphql.config.js",
+    ],
+  },
+  { dependencies: ["tailwindcss"], feature: "Tailwind" },
+];
+
+/**
+ * @param {FeatureRule} featureRule
+ * @param {{ dependencyNames: Set<string>, projectDirectory: string }} project
+ * @returns {FeatureDetection}
+ */
+function detectFeature(
+  { dependencies, feature, files = [] },
+  { dependencyNames, projectDirectory },
+) {
+  const dependency = dependencies.find((name) => dependencyNames.has(name));
+
+  if (dependency) {
+    return { feature, isEnabled: true, reason: `depends on "${dependency}"` };
+  }
+
+  const file = files.find((name) => existsSync(join(projectDirectory, name)));
+
+  if (file) {
+    return { feature, isEnabled: true, reason: `found ${file}` };
+  }
+
+  return {
+    feature,
+    isEnabled: false,
+    reason: `no ${[...dependencies.map((name) => `"${name}"`), ...files].join(", ")}`,
+  };
+}
+
+/**
+ * Finds the feature flags matching the project's package.json and the files next to it
+ * @param {Object} options
+ * @param {string} [options.rootDir=process.cwd()] - Directory to start looking for package.json from
+ * @returns {DetectedFeatures}
+ */
+function detectFeatures({ rootDir = process.cwd() }) {
+  const packageJsonPath = findNearestPackageJson(resolve(rootDir));
+  const projectDirectory = packageJsonPath
+    ? dirname(packageJsonPath)
+    : resolve(rootDir);
+  const dependencyNames = readDependencyNames(packageJsonPath);
+  const detections = featureRules.map((featureRule) =>
+    detectFeature(featureRule, { dependencyNames, projectDirectory }),
+  );
+  const isUiFrameworkEnabled = detections.some(
+    ({ feature, isEnabled }) =>
+      (feature === "React" || feature === "Solid") && isEnabled,
+  );
+  const options = Object.fromEntries(
+    detections.map(({ feature, isEnabled }) => [
+      `shouldEnable${feature}`,
+      isEnabled,
+    ]),
+  );
+
+  return {
+    detections,
+    options: {
+      ...options,
+      // The browser-facing modules follow the UI framework rather than their own dependency
+      shouldEnableA11y: isUiFrameworkEnabled,
+      shouldEnableBrowserGlobals: isUiFrameworkEnabled,
+      // Without one, the project runs on Node.js, as `appType: 'backendOnly'` does
+      shouldEnableNode: !isUiFrameworkEnabled,
+      shouldEnableNodeGlobals: true,
+    },
+    packageJsonPath,
+  };
+}
+
+/**
+ * @param {string} startDirectory
+ * @returns {string | undefined}
+ */
+function findNearestPackageJson(startDirectory) {
+  const packageJsonPath = join(startDirectory, "package.json");
+
+  if (existsSync(packageJsonPath)) {
+    return packageJsonPath;
+  }
+
+  const parentDirectory = dirname(startDirectory);
+
+  return parentDirectory === startDirectory
+    ? undefined
+    : findNearestPackageJson(parentDirectory);
+}
+
+/**
+ * @param {DetectedFeatures} detectedFeatures
+ * @returns {string} One line per feature, e.g. `✔ React: depends on "react"`
+ */
+function formatFeatureDetections({ detections, packageJsonPath }) {
+  return [
+    `uba-eslint-config detected features from ${packageJsonPath ?? "no package.json"}:`,
+    ...detections.map(
+      ({ feature, isEnabled, reason }) =>
+        `  ${isEnabled ? "✔" : "✘"} ${feature}: ${reason}`,
+    ),
+  ].join("\n");
+}
+
+/**
+ * @param {string | undefined} packageJsonPath
+ * @returns {Set<string>}
+ */
+function readDependencyNames(packageJsonPath) {
+  if (!packageJsonPath) {
+    return new Set();
+  }
+
+  const packageJson = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+
+  return new Set(
+    [
+      packageJson.dependencies,
+      packageJson.devDependencies,
+      packageJson.peerDependencies,
+    ].flatMap((dependencyMap) => Object.keys(dependencyMap ?? {})),
+  );
+}
+
+export { detectFeatures, formatFeatureDetections };
@@ -1,14 +1,193 @@
 import checkFile from "eslint-plugin-check-file";
 
-const filenameConfig = {
-  files: ["**/*.{js,jsx,ts,tsx}"],
-  plugins: { "check-file": checkFile },
-  rules: {
-    "check-file/filename-naming-convention": [
-      "error",
-      { "src/components/**/!(*index).{jsx,tsx}": "PASCAL_CASE" },
-    ],
+import ubaPlugin from "../plugin/index.js";
+
+const sourceExtensions = "{js,jsx,ts,tsx}";
+
+// check-file's own KEBAB_CASE and CAMEL_CASE, reused to build the route patterns
+const kebabCase = "+([a-z])*([a-z0-9])*(-+([a-z0-9]))";
+const camelCase = "+([a-z])*([a-z0-9])*([A-Z]*([a-z0-9]))";
+
+// Kebab-case, or wrapped in double underscores like the `__tests__` and `__mocks__` folders tools look for
+const folderCase = `@(${kebabCase}|__${kebabCase}__)`;
+
+// Each component may get a folder named after it, e.g. `src/components/Button/`, so folder names there are not checked
+const componentFiles = "src/components/**";
+
+// One dot-separated segment of a TanStack Router file route: `posts`, `$postId`, `$` (splat), `_layout` (pathless),
+// `posts_` (un-nested) or `-components` (ignored by the router)
+const routeSegment = String.raw`@(${kebabCase}|\$|\$${camelCase}|_${kebabCase}|${kebabCase}_|-*)`;
+
+// A SolidStart route file or folder: `posts`, `[postId]`, `[[postId]]` (optional), `[...slug]` or `[...404]` (catch-all),
+// `(marketing)` (route group, or a file standing in for `index`)
+const solidStartSegment = String.raw`@(${kebabCase}|\[${camelCase}\]|\[\[${camelCase}\]\]|\[...@(${camelCase}|404)\]|\(${kebabCase}\))`;
+
+/**
+ * @typedef {'tanstack' | 'solidStart'} RouteConvention
+ */
+
+/**
+ * Route file and folder name patterns of each file-based router, and the folders it skips, whose files keep the usual names
+ * @type {Record<RouteConvention, { filename: string, folder: string, ignoredFolders: string[] }>}
+ */
+const routeNamingPatterns = {
+  solidStart: {
+    filename: solidStartSegment,
+    folder: solidStartSegment,
+    ignoredFolders: [],
+  },
+  tanstack: {
+    filename: `@(__root|${routeSegment}*(.${routeSegment}))`,
+    folder: String.raw`@(${routeSegment}|\(${kebabCase}\))`,
+    ignoredFolders: ["-*"],
   },
 };
 
-export default filenameConfig;
+/**
+ * @typedef {Record<string, string | null>} NamingPatterns
+ * Globs mapped to a check-file case (`KEBAB_CASE`, `PASCAL_CASE`, ...) or a micromatch pattern; `null` removes a default
+ */
+
+/**
+ * @typedef {Object} NamingConventions
+ * @property {NamingPatterns} [filenames] - File globs and the case of the name before its first dot, so `Button.test.tsx` is checked as `Button`
+ * @property {NamingPatterns} [folders] - Folder globs (ending in `/`) and the case of every folder they match, except those under `src/components/`
+ * @property {NamingPatterns} [blocklist] - File globs that are not allowed, mapped to the name to use instead
+ * @property {string[]} [routeDirectories=["src/routes"]] - File-based route directories, whose files and folders follow route naming instead
+ * @property {RouteConvention} [routeConvention='tanstack'] - Router whose file naming the route directories follow
+ * @property {boolean} [shouldRestrictIndexToBarrels=true] - Whether index files under `src/` may only re-export, except the `src/index` entry point and routes
+ */
+
+/** @type {Required<NamingConventions>} */
+const defaultNamingConventions = {
+  blocklist: { "src/**/*.story.{jsx,tsx}": "*.stories.*" },
+  filenames: {
+    "src/**/use[A-Z]*.{js,jsx,ts,tsx}": "CAMEL_CASE",
+    "src/components/**/!(index|use[A-Z]*).{jsx,tsx}": "PASCAL_CASE",
+  },
+  folders: { "src/**/": folderCase },
+  routeConvention: "tanstack",
+  routeDirectories: ["src/routes"],
+  shouldRestrictIndexToBarrels: true,
+};
+
+/**
+ * Builds the file and folder naming rules.
+ * Each record in `namingConventions` is merged over the default one, key by key.
+ * @param {NamingConventions} [namingConventions={}]
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getFilenameConfig(namingConventions = {}) {
+  const {
+    blocklist,
+    filenames,
+    folders,
+    routeConvention = defaultNamingConventions.routeConvention,
+    routeDirectories = defaultNamingConventions.routeDirectories,
+    shouldRestrictIndexToBarrels = defaultNamingConventions.shouldRestrictIndexToBarrels,
+  } = namingConventions;
+  const routeFiles = routeDirectories.map((directory) => `${directory}/**`);
+  const routePatterns = routeNamingPatterns[routeConvention];
+
+  if (routePatterns === undefined) {
+    throw new Error(`Invalid route convention: ${routeConvention}`);
+  }
+
+  const routeSourceFiles = routeFiles.map(
+    (routeFile) => `${routeFile}/*.${sourceExtensions}`,
+  );
+
+  return [
+    {
+      files: [`**/*.${sourceExtensions}`],
+      plugins: { "check-file": checkFile },
+      rules: {
+        "check-file/filename-blocklist": [
+          2,
+          mergeNamingPatterns(defaultNamingConventions.blocklist, blocklist),
+        ],
+        "check-file/filename-naming-convention": [
+          2,
+          mergeNamingPatterns(defaultNamingConventions.filenames, filenames),
+          { ignoreMiddleExtensions: true },
+        ],
+      },
+    },
+    {
+      files: [`**/*.${sourceExtensions}`],
+      ignores: [componentFiles],
+      plugins: { "check-file": checkFile },
+      rules: {
+        "check-file/folder-naming-convention": [
+          2,
+          mergeNamingPatterns(defaultNamingConventions.folders, folders),
+        ],
+      },
+    },
+    ...(routeFiles.length > 0
+      ? [
+          {
+            files: routeSourceFiles,
+            rules: {
+              "check-file/folder-naming-convention": [
+                2,
+                Object.fromEntries(
+                  routeDirectories.map((directory) => [
+                    `${directory}/**/`,
+                    routePatterns.folder,
+                  ]),
+                ),
+              ],
+            },
+          },
+          {
+            files: routeSourceFiles,
+            // TanStack Router skips `-` folders, so colocated components there keep the usual file names
+            ignores: routeFiles.flatMap((routeFile) =>
+              routePatterns.ignoredFolders.map(
+                (folder) => `${routeFile}/${folder}/**`,
+              ),
+            ),
+            rules: {
+              // TanStack Router separates route segments with dots, e.g. `posts.$postId.edit.tsx`, so they all count
+              "check-file/filename-naming-convention": [
+                2,
+                Object.fromEntries(
+                  routeFiles.map((routeFile) => [
+                    `${routeFile}/*`,
+                    routePatterns.filename,
+                  ]),
+                ),
+              ],
+            },
+          },
+        ]
+      : []),
+    ...(shouldRestrictIndexToBarrels
+      ? [
+          {
+            files: [`src/**/index.${sourceExtensions}`],
+            // `src/index` is the app or package entry point, and in route directories `index` is a route
+            ignores: [`src/index.${sourceExtensions}`, ...routeFiles],
+            plugins: { uba: ubaPlugin },
+            rules: { "uba/index-only-reexports": 2 },
+          },
+        ]
+      : []),
+  ];
+}
+
+/**
+ * @param {Record<string, string>} defaultPatterns
+ * @param {NamingPatterns} [patterns={}]
+ * @returns {Record<string, string>} The default patterns with `patterns` applied, without the ones set to `null`
+ */
+function mergeNamingPatterns(defaultPatterns, patterns = {}) {
+  return Object.fromEntries(
+    Object.entries({ ...defaultPatterns, ...patterns }).filter(
+      ([, pattern]) => pattern !== null,
+    ),
+  );
+}
+
+export { getFilenameConfig };
@@ -1,27 +1,166 @@
 import functionNamePlugin from "eslint-plugin-function-name";
 
-const functionNameConfig = {
-  plugins: { "function-name": functionNamePlugin },
-  rules: {
-    "function-name/starts-with-verb": [
-      2,
-      {
-        whitelist: [
-          "invalidate",
-          "obfuscate",
-          "authenticate",
-          "seed",
-          "swap",
-          "awaken",
-          "sanitize",
-          "reserve",
-          "exclude",
-          "teardown",
-          "fabricate",
-        ],
-      },
-    ],
-  },
+// Verbs missing from the plugin's corpus that read fine in any codebase
+const baseVerbs = [
+  "invalidate",
+  "obfuscate",
+  "authenticate",
+  "seed",
+  "swap",
+  "awaken",
+  "sanitize",
+  "reserve",
+  "exclude",
+  "teardown",
+  "fabricate",
+];
+
+/** Domain verbs missing from the plugin's corpus, enabled by name with `verbDictionary.packs` */
+const verbPacks = {
+  finance: [
+    "accrue",
+    "amortize",
+    "audit",
+    "credit",
+    "debit",
+    "deposit",
+    "hedge",
+    "invoice",
+    "prorate",
+    "quote",
+    "reconcile",
+    "refund",
+    "tax",
+    "vest",
+    "withdraw",
+  ],
+  infra: [
+    "backfill",
+    "bootstrap",
+    "cache",
+    "cordon",
+    "deploy",
+    "flush",
+    "migrate",
+    "provision",
+    "replicate",
+    "rollback",
+    "scale",
+    "shard",
+    "snapshot",
+    "uncordon",
+  ],
+  react: [
+    "dedupe",
+    "dehydrate",
+    "hydrate",
+    "mount",
+    "mutate",
+    "paginate",
+    "persist",
+    "prefetch",
+    "preload",
+    "refetch",
+    "rehydrate",
+    "remount",
+    "rerender",
+    "unmount",
+    "upsert",
+  ],
+  testing: ["bench", "fake", "mock", "spy", "stub"],
 };
 
-export default functionNameConfig;
+// Components are PascalCase, hooks `useX` and higher-order components `withX`, which is not a verb
+const reactNamePattern = /^(?:[A-Z]|use[A-Z]|with[A-Z])/u;
+
+/**
+ * @typedef {keyof typeof verbPacks} VerbPackName
+ */
+
+/**
+ * @typedef {Object} VerbDictionary
+ * @property {string[]} [extraVerbs] - Project verbs, e.g. `["reconcile"]`
+ * @property {VerbPackName[]} [packs] - Named verb packs to add: 'react' (incl. data fetching), 'testing', 'finance', 'infra'
+ * @property {boolean} [shouldSkipReactNames] - Whether components, hooks and higher-order components (`withX`) are left to React's naming conventions; defaults to whether React is enabled
+ */
+
+/**
+ * Makes a rule ignore functions whose name matches a pattern.
+ * The upstream rule has no such option, so its reports are filtered instead.
+ * @param {import("eslint").Rule.RuleModule} rule
+ * @param {RegExp} namePattern
+ * @returns {import("eslint").Rule.RuleModule}
+ */
+function excludeFunctionNames(rule, namePattern) {
+  return {
+    ...rule,
+    create(context) {
+      return rule.create(
+        Object.create(context, {
+          report: {
+            value: (descriptor) => {
+              // Reported nodes are declarations, declarators, properties and methods
+              const { name } = descriptor.node.id ?? descriptor.node.key ?? {};
+
+              if (!namePattern.test(name ?? "")) {
+                context.report(descriptor);
+              }
+            },
+          },
+        }),
+      );
+    },
+  };
+}
+
+/**
+ * @param {VerbDictionary} verbDictionary
+ * @returns {import("eslint").Linter.Config}
+ * @throws {Error} When a pack does not exist
+ */
+function getFunctionNameConfig({
+  extraVerbs = [],
+  packs = [],
+  shouldSkipReactNames = false,
+}) {
+  const unknownPack = packs.find((pack) => !Object.hasOwn(verbPacks, pack));
+
+  if (unknownPack !== undefined) {
+    throw new Error(
+      `Unknown verb pack "${unknownPack}". Packs: ${Object.keys(verbPacks).join(", ")}.`,
+    );
+  }
+
+  return {
+    plugins: {
+      "function-name": shouldSkipReactNames
+        ? {
+            ...functionNamePlugin,
+            rules: {
+              ...functionNamePlugin.rules,
+              "starts-with-verb": excludeFunctionNames(
+                functionNamePlugin.rules["starts-with-verb"],
+                reactNamePattern,
+              ),
+            },
+          }
+        : functionNamePlugin,
+    },
+    rules: {
+      "function-name/starts-with-verb": [
+        2,
+        {
+          whitelist: [
+            ...new Set([
+              ...baseVerbs,
+              ...packs.flatMap((pack) => verbPacks[pack]),
+              ...extraVerbs,
+            ]),
+          ],
+        },
+      ],
+    },
+  };
+}
+
+export { getFunctionNameConfig };
@@ -1,74 +1,338 @@
-import graphqlPlugin from "@graphql-eslint/eslint-plugin";
+import { join, relative, resolve } from "node:path";
+
+import { requirePlugin } from "./pluginLoader.js";
+
+const codeFiles = ["**/*.js", "**/*.ts", "**/*.tsx", "**/*.jsx"];
+
+// Also matches the operations the processor plucks out of code files, e.g. `src/orders.ts/document.graphql`
+const graphqlFiles = ["**/*.graphql", "**/*.gql"];
+
+const remotePointerPattern = /^https?:\/\//u;
+
+// `.graphql`, `.gql` or `.graphqls` files, or a glob such as `schema/*.{graphql,graphqls}`
+const sdlPointerPattern =
+  /\.(?:gql|graphqls?|\{(?:gql|graphqls?)(?:,(?:gql|graphqls?))*\})$/u;
 
 /**
- * @type {import('eslint').Linter.Config}
+ * The projects of every `rootDir` a config was generated for, by absolute `rootDir`; files outside all of them match none
+ * @type {Record<string, { documents: string[], include: string, schema: string[] }>}
  */
-const graphqlConfig = [
-  {
-    files: ["**/*.js", "**/*.ts", "**/*.tsx", "**/*.jsx"],
-    processor: graphqlPlugin.processor,
-  },
-  {
-    files: ["**/*.graphql"],
-    languageOptions: { parser: graphqlPlugin.parser },
-    plugins: { "@graphql-eslint": graphqlPlugin },
-    rules: {
-      "@graphql-eslint/alphabetize": [
-        2,
-        {
-          arguments: [
-            "FieldDefinition",
-            "Field",
-            "DirectiveDefinition",
-            "Directive",
-          ],
-          fields: [
-            "ObjectTypeDefinition",
-            "InterfaceTypeDefinition",
-            "InputObjectTypeDefinition",
-          ],
-          selections: ["OperationDefinition", "FragmentDefinition"],
-          values: true,
-          variables: true,
-        },
+const graphqlProjects = {};
+
+/**
+ * @typedef {Object} GraphqlOptions
+ * @property {string | string[]} [schema] - SDL files of the schema, or an introspection JSON snapshot of a remote one, relative to `rootDir`; read from graphql-config with `documents` when both are omitted
+ * @property {string | string[]} [documents] - Files holding the operations and fragments, `.graphql` or code with `gql` tags, relative to `rootDir`
+ * @property {string} [rootDir=process.cwd()] - Where graphql-config (`.graphqlrc`, `graphql.config.*`) is looked up
+ */
+
+/**
+ * @typedef {Object} GraphqlProject
+ * @property {string[]} schema - Relative to `rootDir`
+ * @property {string[]} documents - Relative to `rootDir`
+ */
+
+const schemaAlphabetizeOptions = {
+  arguments: ["FieldDefinition", "DirectiveDefinition"],
+  fields: [
+    "ObjectTypeDefinition",
+    "InterfaceTypeDefinition",
+    "InputObjectTypeDefinition",
+  ],
+  values: true,
+};
+
+const operationAlphabetizeOptions = {
+  arguments: ["Field", "Directive"],
+  selections: ["OperationDefinition", "FragmentDefinition"],
+  variables: true,
+};
+
+/** @type {import("eslint").Linter.RulesRecord} */
+const schemaRules = {
+  "@graphql-eslint/alphabetize": [2, schemaAlphabetizeOptions],
+  "@graphql-eslint/description-style": 2,
+  "@graphql-eslint/input-name": 2,
+  "@graphql-eslint/known-argument-names": 2,
+  "@graphql-eslint/known-directives": 2,
+  "@graphql-eslint/known-type-names": 2,
+  "@graphql-eslint/lone-schema-definition": 0,
+  "@graphql-eslint/naming-convention": [
+    2,
+    {
+      FieldDefinition: { style: "camelCase" },
+      "FieldDefinition[parent.name.value=Query]": {
+        forbiddenPrefixes: ["get"],
+      },
+
+      types: { style: "PascalCase" },
+    },
+  ],
+  "@graphql-eslint/no-hashtag-description": 2,
+  "@graphql-eslint/no-root-type": 0,
+  "@graphql-eslint/no-scalar-result-type-on-mutation": 0,
+  "@graphql-eslint/no-typename-prefix": 0,
+  "@graphql-eslint/no-unreachable-types": 0,
+  "@graphql-eslint/unique-enum-value-names": 2,
+};
+
+/** @type {import("eslint").Linter.RulesRecord} */
+const operationRules = {
+  "@graphql-eslint/alphabetize": [2, operationAlphabetizeOptions],
+  "@graphql-eslint/executable-definitions": 2,
+  "@graphql-eslint/fields-on-correct-type": 2,
+  "@graphql-eslint/fragments-on-composite-type": 2,
+  "@graphql-eslint/known-argument-names": 2,
+  "@graphql-eslint/known-directives": 2,
+  "@graphql-eslint/known-fragment-names": 2,
+  "@graphql-eslint/known-type-names": 2,
+  "@graphql-eslint/lone-anonymous-operation": 2,
+  "@graphql-eslint/lone-executable-definition": 0,
+  "@graphql-eslint/match-document-filename": 0,
+  "@graphql-eslint/no-anonymous-operations": 2,
+  "@graphql-eslint/no-deprecated": 0,
+  "@graphql-eslint/no-duplicate-fields": 2,
+  "@graphql-eslint/no-fragment-cycles": 2,
+  "@graphql-eslint/no-undefined-variables": 2,
+  "@graphql-eslint/no-unused-variables": 2,
+  "@graphql-eslint/possible-fragment-spread": 2,
+  "@graphql-eslint/provided-required-arguments": 2,
+  "@graphql-eslint/scalar-leafs": 2,
+  "@graphql-eslint/unique-fragment-name": 2,
+  "@graphql-eslint/unique-operation-name": 2,
+  "@graphql-eslint/value-literals-of-correct-type": 2,
+  "@graphql-eslint/variables-are-input-types": 2,
+  "@graphql-eslint/variables-in-allowed-position": 2,
+};
+
+// Without a schema, any GraphQL file may hold type definitions as well as operations
+/** @type {import("eslint").Linter.RulesRecord} */
+const mixedRules = {
+  ...schemaRules,
+  ...operationRules,
+  "@graphql-eslint/alphabetize": [
+    2,
+    {
+      ...schemaAlphabetizeOptions,
+      ...operationAlphabetizeOptions,
+      arguments: [
+        ...schemaAlphabetizeOptions.arguments,
+        ...operationAlphabetizeOptions.arguments,
       ],
-      "@graphql-eslint/description-style": 2,
-      "@graphql-eslint/executable-definitions": 2,
-      "@graphql-eslint/fields-on-correct-type": 2,
-      "@graphql-eslint/fragments-on-composite-type": 2,
-      "@graphql-eslint/input-name": 2,
-      "@graphql-eslint/known-argument-names": 2,
-      "@graphql-eslint/known-directives": 2,
-      "@graphql-eslint/known-fragment-names": 2,
-      "@graphql-eslint/known-type-names": 2,
-      "@graphql-eslint/lone-anonymous-operation": 2,
-      "@graphql-eslint/lone-executable-definition": 0,
-      "@graphql-eslint/lone-schema-definition": 0,
-      "@graphql-eslint/match-document-filename": 0,
-      "@graphql-eslint/naming-convention": [
-        2,
-        {
-          FieldDefinition: { style: "camelCase" },
-          "FieldDefinition[parent.name.value=Query]": {
-            forbiddenPrefixes: ["get"],
+    },
+  ],
+};
+
+/**
+ * @graphql-eslint builds its graphql-config once per process, from the first file it parses, so every config is given the same multi-project one, which the project of each `rootDir` joins
+ * @param {string} rootDir
+ * @param {GraphqlProject} project - Relative to `rootDir`
+ */
+function addGraphqlProject(rootDir, project) {
+  const projectDirectory = resolve(rootDir);
+  const projects = Object.entries({
+    ...graphqlProjects,
+    [projectDirectory]: {
+      // graphql-config resolves pointers from the working directory, which may not be `rootDir`
+      documents: project.documents.map((pointer) =>
+        mapPointerPath(pointer, (path) => resolve(rootDir, path)),
+      ),
+      // graphql-config matches a file to a project with paths relative to the working directory
+      include: join(relative(process.cwd(), projectDirectory), "**"),
+      schema: project.schema.map((pointer) =>
+        mapPointerPath(pointer, (path) => resolve(rootDir, path)),
+      ),
+    },
+  });
+
+  for (const directory of Object.keys(graphqlProjects)) {
+    delete graphqlProjects[directory];
+  }
+
+  // The first project a file matches is its own, so nested directories come before the directories holding them
+  Object.assign(
+    graphqlProjects,
+    Object.fromEntries(
+      projects.toSorted(
+        ([firstDirectory], [secondDirectory]) =>
+          secondDirectory.length - firstDirectory.length,
+      ),
+    ),
+  );
+}
+
+/**
+ * @param {GraphqlOptions} [options]
+ * @returns {import("eslint").Linter.Config[]}
+ * @throws {Error} When the schema is a URL, which would be fetched on every run
+ */
+function getGraphqlConfig({ documents, rootDir = process.cwd(), schema } = {}) {
+  const graphqlPlugin = requirePlugin(
+    "@graphql-eslint/eslint-plugin",
+    "GraphQL linting requires @graphql-eslint/eslint-plugin@^4.4.0.",
+  );
+  const isConfiguredExplicitly =
+    schema !== undefined || documents !== undefined;
+  const project = isConfiguredExplicitly
+    ? { documents: toPointers(documents), schema: toPointers(schema) }
+    : readGraphqlProject(rootDir);
+  const remoteSchema = project.schema.find((pointer) =>
+    remotePointerPattern.test(pointer),
+  );
+
+  if (remoteSchema !== undefined) {
+    throw new Error(
+      `Cannot lint against the remote GraphQL schema ${remoteSchema}: save an introspection snapshot of it, e.g. schema.json, and point the schema at that.`,
+    );
+  }
+
+  // An introspection snapshot describes a schema served elsewhere, and a code-first schema is built by code, so neither has SDL to lint
+  const schemaFiles = project.schema.filter(
+    (pointer) => !pointer.startsWith("!") && sdlPointerPattern.test(pointer),
+  );
+  const documentCodeFiles = project.documents.filter(
+    (pointer) => !pointer.startsWith("!") && !/\.g(?:raph)?ql$/u.test(pointer),
+  );
+
+  addGraphqlProject(rootDir, project);
+
+  const parserOptions = { graphQLConfig: { projects: graphqlProjects } };
+  // Without known documents, operations may be embedded in any code file
+  const processedFiles =
+    project.documents.length > 0 ? documentCodeFiles : codeFiles;
+  const processorConfigs =
+    processedFiles.length > 0
+      ? [
+          {
+            files: processedFiles,
+            // A glob such as `src/**/*.{graphql,ts}` matches the parsed files too
+            ignores: graphqlFiles,
+            processor: graphqlPlugin.processor,
+            rules: {
+              // The `/* GraphQL */` comment is how the processor, and editors, find operations in untagged strings
+              "no-inline-comments": [
+                2,
+                { ignorePattern: String.raw`^\s*GraphQL\s*$` },
+              ],
+            },
           },
+        ]
+      : [];
+  const parserConfig = {
+    languageOptions: { parser: graphqlPlugin.parser, parserOptions },
+    plugins: { "@graphql-eslint": graphqlPlugin },
+  };
 
-          types: { style: "PascalCase" },
-        },
-      ],
-      "@graphql-eslint/no-anonymous-operations": 2,
-      "@graphql-eslint/no-deprecated": 0,
-      "@graphql-eslint/no-duplicate-fields": 2,
-      "@graphql-eslint/no-fragment-cycles": 2,
-      "@graphql-eslint/no-hashtag-description": 2,
-      "@graphql-eslint/no-root-type": 0,
-      "@graphql-eslint/no-scalar-result-type-on-mutation": 0,
-      "@graphql-eslint/no-typename-prefix": 0,
-      "@graphql-eslint/no-undefined-variables": 2,
-      "@graphql-eslint/no-unreachable-types": 0,
-      "@graphql-eslint/unique-enum-value-names": 2,
+  if (project.schema.length === 0) {
+    return [
+      ...processorConfigs,
+      {
+        ...parserConfig,
+        files: graphqlFiles,
+        rules: getSupportedRules(mixedRules, graphqlPlugin, project),
+      },
+    ];
+  }
+
+  return [
+    ...processorConfigs,
+    ...(schemaFiles.length > 0
+      ? [
+          {
+            ...parserConfig,
+            files: schemaFiles,
+            rules: getSupportedRules(schemaRules, graphqlPlugin, project),
+          },
+        ]
+      : []),
+    {
+      ...parserConfig,
+      files: graphqlFiles,
+      ignores: schemaFiles,
+      rules: getSupportedRules(operationRules, graphqlPlugin, project),
     },
-  },
-];
+  ];
+}
+
+/**
+ * Rules that need a schema, or the other operations to resolve fragments and names, crash without them
+ * @param {import("eslint").Linter.RulesRecord} rules
+ * @param {import("eslint").ESLint.Plugin} graphqlPlugin
+ * @param {GraphqlProject} project
+ * @returns {import("eslint").Linter.RulesRecord} The rules, those the project cannot run turned off
+ */
+function getSupportedRules(rules, graphqlPlugin, project) {
+  return Object.fromEntries(
+    Object.entries(rules).map(([ruleName, ruleEntry]) => {
+      const { docs } =
+        graphqlPlugin.rules[ruleName.slice("@graphql-eslint/".length)].meta;
+      const isSupported =
+        (!docs.requiresSchema || project.schema.length > 0) &&
+        (!docs.requiresSiblings || project.documents.length > 0);
+
+      return [ruleName, isSupported ? ruleEntry : 0];
+    }),
+  );
+}
+
+/**
+ * @param {string} pointer - A path or glob, `!` first to exclude
+ * @param {(path: string) => string} mapPath
+ * @returns {string}
+ */
+function mapPointerPath(pointer, mapPath) {
+  return pointer.startsWith("!")
+    ? `!${mapPath(pointer.slice(1))}`
+    : mapPath(pointer);
+}
+
+/**
+ * Reads the schema and documents of every project in the graphql-config of `rootDir`
+ * @param {string} rootDir
+ * @returns {GraphqlProject} Empty lists when there is no graphql-config
+ */
+function readGraphqlProject(rootDir) {
+  const { loadConfigSync } = requirePlugin(
+    "graphql-config",
+    "Reading .graphqlrc requires graphql-config@^5.1.5.",
+  );
+  const graphqlConfig = loadConfigSync({
+    rootDir,
+    throwOnEmpty: false,
+    throwOnMissing: false,
+  });
+  const projects = Object.values(graphqlConfig?.projects ?? {});
+
+  return Object.fromEntries(
+    ["documents", "schema"].map((key) => [
+      key,
+      projects.flatMap(({ dirpath, [key]: pointers }) =>
+        toPointers(pointers).map((pointer) =>
+          remotePointerPattern.test(pointer)
+            ? pointer
+            : mapPointerPath(pointer, (path) =>
+                relative(rootDir, resolve(dirpath, path)),
+              ),
+        ),
+      ),
+    ]),
+  );
+}
+
+/**
+ * @param {string | string[] | Record<string, unknown> | undefined} pointer - graphql-config also accepts `{ [url]: { headers } }`
+ * @returns {string[]}
+ */
+function toPointers(pointer) {
+  if (pointer === undefined) {
+    return [];
+  }
+
+  return [pointer]
+    .flat()
+    .flatMap((entry) =>
+      typeof entry === "string" ? entry : Object.keys(entry),
+    );
+}
 
-export default graphqlConfig;
+export { getGraphqlConfig };
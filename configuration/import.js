@@ -42,14 +42,14 @@ const importPluginSetting = {
 const importEslintJavascriptConfig = {
   files: ["**/*.js", "**/*.jsx", "**/*.mjs", "**/*.cjs"],
   languageOptions: { ecmaVersion: "latest", sourceType: "module" },
-  plugins: { import: { meta: { name: "import" }, rules: importPlugin.rules } },
+  plugins: importPluginSetting,
   rules: { ...rules, "import/extensions": 0 },
 };
 
 /** @type {import("eslint").Linter.Config} */
 const importEslintTypescriptConfig = {
   files: ["**/*.ts", "**/*.tsx", "**/*.mts", "**/*.cts"],
-  plugins: { import: { meta: { name: "import" }, rules: importPlugin.rules } },
+  plugins: importPluginSetting,
   ...importPlugin.configs.typescript,
   rules,
   settings: {
@@ -58,7 +58,56 @@ const importEslintTypescriptConfig = {
   },
 };
 
+/**
+ * @typedef {Object} ImportCycleOptions
+ * @property {number} [maxDepth] - How many imports deep to follow from each file, e.g. `3`; unlimited when omitted. Lower is faster but misses longer cycles
+ * @property {string[]} [files] - Globs of the files to check, e.g. `["src/**"]`; every file the import rules lint when omitted
+ */
+
+/**
+ * `import/no-cycle` follows every import of every file, which makes it the slowest rule, so it only runs when asked for.
+ * Type-only imports never count towards a cycle: the plugin skips `import type` and imports of nothing but types, as they are erased at build time.
+ * @param {Object} options
+ * @param {'on' | 'off'} options.importCycleCheckMode - 'on' enforces the rule, 'off' disables it
+ * @param {ImportCycleOptions} [options.importCycle={}]
+ * @param {boolean} options.shouldEnableTypescript - Whether the TypeScript import config is the one in use
+ * @returns {import("eslint").Linter.Config[]} Config objects to put after the import config
+ * @throws {Error} When `importCycleCheckMode` is neither 'on' nor 'off'
+ */
+function getImportCycleConfigs({
+  importCycle = {},
+  importCycleCheckMode,
+  shouldEnableTypescript,
+}) {
+  if (importCycleCheckMode === "off") {
+    return [{ rules: { "import/no-cycle": 0 } }];
+  }
+
+  if (importCycleCheckMode !== "on") {
+    throw new Error(`Invalid import cycle check mode: ${importCycleCheckMode}`);
+  }
+
+  const { files, maxDepth } = importCycle;
+
+  return [
+    { rules: { "import/no-cycle": 0 } },
+    {
+      files:
+        files ??
+        (shouldEnableTypescript
+          ? importEslintTypescriptConfig
+          : importEslintJavascriptConfig
+        ).files,
+      plugins: importPluginSetting,
+      rules: {
+        "import/no-cycle": maxDepth === undefined ? 2 : [2, { maxDepth }],
+      },
+    },
+  ];
+}
+
 export {
+  getImportCycleConfigs,
   importEslintJavascriptConfig,
   importEslintTypescriptConfig,
   importPluginSetting,
@@ -0,0 +1,89 @@
+import { sortOrder as packageJsonKeyOrder } from "sort-package-json";
+
+import { requirePlugin } from "./pluginLoader.js";
+
+// JSON with comments and trailing commas, as TypeScript and VS Code read it
+const jsoncFiles = [
+  "**/*.jsonc",
+  "**/tsconfig.json",
+  "**/tsconfig.*.json",
+  "**/jsconfig.json",
+  ".vscode/*.json",
+];
+
+const tsconfigFiles = [
+  "**/tsconfig.json",
+  "**/tsconfig.*.json",
+  "**/jsconfig.json",
+];
+
+const tsconfigKeyOrder = [
+  "$schema",
+  "extends",
+  "compilerOptions",
+  "files",
+  "include",
+  "exclude",
+  "references",
+];
+
+/**
+ * @param {(string | { keyPattern?: string, order: { type: 'asc' } })[]} knownKeys
+ * @returns {(string | { keyPattern?: string, order: { type: 'asc' } })[]} The known keys in order, then the others alphabetically with `_` private keys last, as `sort-package-json` orders them
+ */
+function buildKeyOrder(knownKeys) {
+  return [
+    ...knownKeys,
+    { keyPattern: "^[^_]", order: { type: "asc" } },
+    { order: { type: "asc" } },
+  ];
+}
+
+/** @returns {import("eslint").Linter.Config[]} */
+function getJsonConfig() {
+  const jsonc = requirePlugin(
+    "eslint-plugin-jsonc",
+    "JSON linting requires eslint-plugin-jsonc@^3.4.2.",
+  );
+  // The third object of each holds its rules; the first two register the plugin and the language
+  const recommendedConfig = jsonc.configs["flat/recommended-with-json"][2];
+  const prettierConfig = jsonc.configs["flat/prettier"][2];
+
+  return [
+    {
+      files: ["**/*.json", ...jsoncFiles],
+      // Lock files are generated, and too large to parse on every run
+      ignores: ["**/package-lock.json"],
+      language: "jsonc/x",
+      plugins: { jsonc },
+      rules: { ...recommendedConfig.rules, ...prettierConfig.rules },
+    },
+    { files: jsoncFiles, rules: { "jsonc/no-comments": 0 } },
+    {
+      files: ["**/package.json"],
+      rules: {
+        // The order `prettier-plugin-packagejson` writes, so ESLint and Prettier agree
+        "jsonc/sort-keys": [
+          2,
+          { order: buildKeyOrder(packageJsonKeyOrder), pathPattern: "^$" },
+          {
+            order: { type: "asc" },
+            pathPattern:
+              "^(?:d|devD|optionalD|peerD)ependencies$|^peerDependenciesMeta$",
+          },
+        ],
+      },
+    },
+    {
+      files: tsconfigFiles,
+      rules: {
+        "jsonc/sort-keys": [
+          2,
+          { order: buildKeyOrder(tsconfigKeyOrder), pathPattern: "^$" },
+        ],
+      },
+    },
+  ];
+}
+
+export { getJsonConfig };
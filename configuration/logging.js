@@ -0,0 +1,27 @@
+import ubaPlugin from "../plugin/index.js";
+
+// A CLI talks to its user through the console: log/info go to stdout, warn/error to stderr
+const cliConsoleConfig = {
+  files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+  rules: { "no-console": [2, { allow: ["error", "info", "log", "warn"] }] },
+};
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.loggerNames] - Objects whose `info()`, `error()`, etc. are log calls; `log` and `logger` when omitted
+ * @returns {import("eslint").Linter.Config}
+ */
+function getStructuredLoggingConfig({ loggerNames }) {
+  return {
+    files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+    plugins: { uba: ubaPlugin },
+    rules: {
+      "uba/error-log-requires-error": 2,
+      "uba/no-sensitive-log-fields": 2,
+      "uba/structured-log-message": 2,
+    },
+    ...(loggerNames ? { settings: { uba: { loggerNames } } } : {}),
+  };
+}
+
+export { cliConsoleConfig, getStructuredLoggingConfig };
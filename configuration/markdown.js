@@ -0,0 +1,77 @@
+import { importPluginSetting } from "./import.js";
+import { requirePlugin } from "./pluginLoader.js";
+import { getUntypedRuleEntries } from "./typescript.js";
+
+/**
+ * @typedef {Object} MarkdownOptions
+ * @property {boolean} [shouldEnableTypescript=true] - Whether `ts` and `tsx` code blocks are linted with the TypeScript rules, which then run without type information
+ */
+
+/**
+ * @param {MarkdownOptions} [options]
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getMarkdownConfig({ shouldEnableTypescript = true } = {}) {
+  const markdown = requirePlugin(
+    "@eslint/markdown",
+    "Markdown linting requires @eslint/markdown@^8.0.3.",
+  );
+  const codeBlockConfig = markdown.configs.processor.find(
+    ({ name }) => name === "markdown/recommended/code-blocks",
+  );
+
+  return [
+    {
+      files: ["**/*.md"],
+      plugins: { markdown },
+      // Lints the fenced code blocks as files of their own, e.g. `README.md/0.js`, instead of the Markdown around them
+      processor: "markdown/markdown",
+    },
+    {
+      files: ["**/*.md/**"],
+      languageOptions: codeBlockConfig.languageOptions,
+      plugins: importPluginSetting,
+      // Examples show a snippet of a file, with imports it may not use, names defined elsewhere, bare expressions and output to read
+      rules: {
+        ...codeBlockConfig.rules,
+        "chai-friendly/no-unused-expressions": 0,
+        "import/no-extraneous-dependencies": 0,
+        "import/no-unresolved": 0,
+        "import/prefer-default-export": 0,
+        "no-console": 0,
+        "no-inline-comments": 0,
+      },
+    },
+    {
+      // The file names of code blocks are made up, and so is the folder they appear in
+      files: ["**/*.md/*.{js,jsx,ts,tsx}"],
+      rules: {
+        "check-file/filename-blocklist": 0,
+        "check-file/filename-naming-convention": 0,
+        "check-file/folder-naming-convention": 0,
+      },
+    },
+    ...(shouldEnableTypescript
+      ? [
+          {
+            files: ["**/*.md/*.ts", "**/*.md/*.tsx"],
+            // No tsconfig includes a code block, so it is parsed without a program
+            languageOptions: {
+              parserOptions: {
+                program: null,
+                project: false,
+                projectService: false,
+              },
+            },
+            rules: {
+              ...getUntypedRuleEntries(),
+              "@typescript-eslint/no-unused-expressions": 0,
+              "@typescript-eslint/no-unused-vars": 0,
+            },
+          },
+        ]
+      : []),
+  ];
+}
+
+export { getMarkdownConfig };
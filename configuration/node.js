@@ -0,0 +1,84 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+import { importPluginSetting } from "./import.js";
+import { requirePlugin } from "./pluginLoader.js";
+
+/**
+ * @typedef {Object} NodeOptions
+ * @property {string[]} [entryPoints] - Globs of the files that start the process, and so may call `process.exit()`; `bin/**`, `scripts/**` and `index`, `main` or `server` files at the root or in `src` when omitted
+ * @property {string} [rootDir=process.cwd()] - Project root whose package.json `engines.node` is the Node.js version to check against
+ */
+
+const defaultNodeEntryPoints = [
+  "bin/**",
+  "scripts/**",
+  "{,src/}{index,main,server}.{js,mjs,cjs,ts,mts,cts}",
+];
+
+// Files that run at development time only, and so may import devDependencies; relative to `rootDir`
+const developmentFiles = [
+  "tests/**",
+  "test/**",
+  "e2e/**",
+  "scripts/**",
+  "**/*.{test,spec}.{js,mjs,cjs,ts,mts,cts}",
+  "**/*.config.{js,mjs,cjs,ts,mts,cts}",
+];
+
+/**
+ * @param {NodeOptions} [options]
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getNodeConfig({
+  entryPoints = defaultNodeEntryPoints,
+  rootDir = process.cwd(),
+} = {}) {
+  const nodePlugin = requirePlugin(
+    "eslint-plugin-n",
+    "Node.js linting requires eslint-plugin-n@^18.4.1.",
+  );
+  const nodeVersion = readNodeVersion(rootDir);
+  // eslint-plugin-import matches relative globs against the working directory, which is the workspace root in a monorepo
+  const developmentFilePatterns = developmentFiles.map((pattern) =>
+    join(resolve(rootDir), pattern),
+  );
+
+  return [
+    {
+      files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+      plugins: { ...importPluginSetting, n: nodePlugin },
+      rules: {
+        // `dependencies` are what production installs: a devDependency imported outside tests and tooling breaks at runtime
+        "import/no-extraneous-dependencies": [
+          2,
+          { devDependencies: developmentFilePatterns },
+        ],
+        "n/no-deprecated-api": 2,
+        // A process that exits from a library or a handler skips pending I/O and the `finally` blocks of its callers
+        "n/no-process-exit": 2,
+        // Sync calls block every request in flight; startup code at the module's top level may still use them
+        "n/no-sync": [2, { allowAtRootLevel: true }],
+        "n/no-unsupported-features/node-builtins": 2,
+        // `node:` specifiers are `unicorn/prefer-node-protocol`'s job
+        "n/prefer-node-protocol": 0,
+      },
+      ...(nodeVersion ? { settings: { n: { version: nodeVersion } } } : {}),
+    },
+    { files: entryPoints, rules: { "n/no-process-exit": 0 } },
+  ];
+}
+
+/**
+ * @param {string} rootDir
+ * @returns {string | undefined} The package.json `engines.node` range, e.g. `>=20.19`; eslint-plugin-n reads it from the package.json nearest each file when undefined
+ */
+function readNodeVersion(rootDir) {
+  const packageJsonPath = join(rootDir, "package.json");
+
+  return existsSync(packageJsonPath)
+    ? JSON.parse(readFileSync(packageJsonPath, "utf8")).engines?.node
+    : undefined;
+}
+
+export { getNodeConfig };
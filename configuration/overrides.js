@@ -0,0 +1,186 @@
+import { builtinRules } from "eslint/use-at-your-own-risk";
+
+/**
+ * @typedef {import("eslint").Linter.Config} ESLintConfig
+ */
+
+/**
+ * @typedef {Record<string, import("eslint").Linter.RulesRecord>} RuleOverrides
+ * Rule entries keyed by the feature whose files they apply to, e.g. `{ react: { "react/jsx-key": 0 } }`
+ */
+
+/**
+ * @typedef {[featureName: string, config: ESLintConfig | ESLintConfig[] | undefined]} FeatureConfig
+ * A feature's config objects, `undefined` when the feature is disabled
+ */
+
+/**
+ * Builds one config object per overridden feature, scoped to the files of the feature it overrides
+ * @param {RuleOverrides} overrides
+ * @param {FeatureConfig[]} featureConfigs - Every feature, in the order its config is applied
+ * @returns {ESLintConfig[]}
+ * @throws {Error} For unknown or disabled features and for rules the feature's plugins do not define
+ */
+function buildOverrideConfigs(overrides, featureConfigs) {
+  return Object.entries(overrides).map(([featureName, rules]) => {
+    const configs = findFeatureConfigs(featureName, featureConfigs);
+
+    for (const ruleName of Object.keys(rules)) {
+      validateRuleName(ruleName, { featureConfigs, featureName });
+    }
+
+    // A feature object without `files` applies everywhere, and so must its override
+    const isGlobal = configs.some((config) => config.files === undefined);
+    const files = [...new Set(configs.flatMap((config) => config.files ?? []))];
+
+    const name = `uba/overrides/${featureName}`;
+
+    return isGlobal ? { name, rules } : { files, name, rules };
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string} ` Did you mean "…"?` for the closest candidate, or an empty string when none is close
+ */
+function buildSuggestion(name, candidates) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  const [closestCandidate] = candidates
+    .map((candidate) => ({
+      candidate,
+      distance: measureEditDistance(name, candidate),
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .toSorted((first, second) => first.distance - second.distance);
+
+  return closestCandidate
+    ? ` Did you mean "${closestCandidate.candidate}"?`
+    : "";
+}
+
+/**
+ * @param {string} featureName
+ * @param {FeatureConfig[]} featureConfigs
+ * @returns {ESLintConfig[]}
+ */
+function findFeatureConfigs(featureName, featureConfigs) {
+  const featureConfig = featureConfigs.find(([name]) => name === featureName);
+
+  if (!featureConfig) {
+    throw new Error(
+      `Unknown feature "${featureName}" in overrides.${buildSuggestion(
+        featureName,
+        featureConfigs.map(([name]) => name),
+      )} Features: ${featureConfigs.map(([name]) => name).join(", ")}.`,
+    );
+  }
+
+  const [, config] = featureConfig;
+
+  if (config === undefined) {
+    throw new Error(
+      `Cannot override rules of "${featureName}": the feature is disabled. Enable it with shouldEnable${featureName[0].toUpperCase()}${featureName.slice(1)} or remove the override.`,
+    );
+  }
+
+  return [config].flat();
+}
+
+/**
+ * @param {ESLintConfig[]} configs
+ * @returns {Record<string, import("eslint").ESLint.Plugin>}
+ */
+function getPlugins(configs) {
+  return Object.assign({}, ...configs.map((config) => config.plugins ?? {}));
+}
+
+/**
+ * Levenshtein distance
+ * @param {string} source
+ * @param {string} target
+ * @returns {number}
+ */
+function measureEditDistance(source, target) {
+  let previousRow = Array.from(
+    { length: target.length + 1 },
+    (_, index) => index,
+  );
+
+  for (const [sourceIndex, sourceCharacter] of [...source].entries()) {
+    const currentRow = [sourceIndex + 1];
+
+    for (const [targetIndex, targetCharacter] of [...target].entries()) {
+      currentRow.push(
+        Math.min(
+          previousRow[targetIndex + 1] + 1,
+          currentRow[targetIndex] + 1,
+          previousRow[targetIndex] +
+            (sourceCharacter === targetCharacter ? 0 : 1),
+        ),
+      );
+    }
+
+    previousRow = currentRow;
+  }
+
+  return previousRow[target.length];
+}
+
+/**
+ * @param {string} ruleName - e.g. `no-console`, `react/jsx-key` or `@tanstack/query/exhaustive-deps`
+ * @param {Object} context
+ * @param {FeatureConfig[]} context.featureConfigs
+ * @param {string} context.featureName - Feature the rule is overridden under
+ * @throws {Error} When the rule does not exist in ESLint core or the feature's plugins
+ */
+function validateRuleName(ruleName, { featureConfigs, featureName }) {
+  const separatorIndex = ruleName.lastIndexOf("/");
+
+  if (separatorIndex === -1) {
+    if (!builtinRules.has(ruleName)) {
+      throw new Error(
+        `Unknown core rule "${ruleName}" in overrides.${featureName}.${buildSuggestion(ruleName, [...builtinRules.keys()])}`,
+      );
+    }
+
+    return;
+  }
+
+  const pluginName = ruleName.slice(0, separatorIndex);
+  const featurePlugins = getPlugins(
+    findFeatureConfigs(featureName, featureConfigs),
+  );
+  const plugin = featurePlugins[pluginName];
+
+  if (!plugin) {
+    const owningFeature = featureConfigs.find(
+      ([, config]) =>
+        config !== undefined && getPlugins([config].flat())[pluginName],
+    );
+
+    throw new Error(
+      owningFeature
+        ? `Rule "${ruleName}" belongs to feature "${owningFeature[0]}", not "${featureName}". Move it to overrides.${owningFeature[0]}.`
+        : `Unknown rule "${ruleName}" in overrides.${featureName}: plugin "${pluginName}" is not loaded.${buildSuggestion(
+            ruleName,
+            Object.entries(featurePlugins).flatMap(([name, { rules = {} }]) =>
+              Object.keys(rules).map((rule) => `${name}/${rule}`),
+            ),
+          )}`,
+    );
+  }
+
+  const ruleNames = Object.keys(plugin.rules ?? {});
+
+  if (!ruleNames.includes(ruleName.slice(separatorIndex + 1))) {
+    throw new Error(
+      `Unknown rule "${ruleName}" in overrides.${featureName}.${buildSuggestion(
+        ruleName,
+        ruleNames.map((rule) => `${pluginName}/${rule}`),
+      )}`,
+    );
+  }
+}
+
+export { buildOverrideConfigs };
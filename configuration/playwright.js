@@ -0,0 +1,49 @@
+import { requirePlugin } from "./pluginLoader.js";
+
+/**
+ * @typedef {Object} PlaywrightOptions
+ * @property {string[]} [files] - Globs of the Playwright tests, e.g. `["e2e/**"]`; files under `e2e` and `.spec.js`/`.spec.ts` files anywhere when omitted
+ * @property {string[]} [ignores=[]] - Globs of test files another runner owns
+ */
+
+// `.spec.jsx` and `.spec.tsx` files render components, so they are left to the component test runner
+const defaultPlaywrightFiles = [
+  "e2e/**/*.{js,jsx,ts,tsx}",
+  "**/*.spec.{js,ts}",
+];
+
+/**
+ * @param {PlaywrightOptions} [options]
+ * @returns {import("eslint").Linter.Config}
+ */
+function getPlaywrightConfig({
+  files = defaultPlaywrightFiles,
+  ignores = [],
+} = {}) {
+  const playwrightPlugin = requirePlugin(
+    "eslint-plugin-playwright",
+    "Playwright linting requires eslint-plugin-playwright@^2.12.0.",
+  );
+  const recommendedConfig = playwrightPlugin.configs["flat/recommended"];
+
+  return {
+    files,
+    ignores,
+    languageOptions: recommendedConfig.languageOptions,
+    plugins: { playwright: playwrightPlugin },
+    rules: {
+      ...recommendedConfig.rules,
+      // An unawaited `expect` or action passes before it has checked anything
+      "playwright/missing-playwright-await": 2,
+      "playwright/no-focused-test": 2,
+      "playwright/no-page-pause": 2,
+      // Fixed sleeps make tests slow and flaky; wait for a locator or an assertion instead
+      "playwright/no-wait-for-timeout": 2,
+      "promise/always-return": 0,
+      "promise/catch-or-return": 0,
+      "promise/prefer-await-to-then": 0,
+    },
+  };
+}
+
+export { defaultPlaywrightFiles, getPlaywrightConfig };
@@ -0,0 +1,75 @@
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Builds a config array on first use rather than on import.
+ * A config exported at module level would otherwise load the plugins of every feature it enables
+ * whenever the module is imported, even by projects that only call a generator with other options.
+ * @param {() => import("eslint").Linter.Config[]} generateConfig
+ * @returns {import("eslint").Linter.Config[]} An array that fills itself the first time it is read
+ */
+function createLazyConfigArray(generateConfig) {
+  let isGenerated = false;
+
+  /**
+   * @param {import("eslint").Linter.Config[]} target
+   */
+  function fillTarget(target) {
+    if (!isGenerated) {
+      isGenerated = true;
+      target.push(...generateConfig());
+    }
+  }
+
+  return new Proxy(
+    [],
+    Object.fromEntries(
+      ["get", "getOwnPropertyDescriptor", "has", "ownKeys"].map((trapName) => [
+        trapName,
+        (target, ...trapArguments) => {
+          fillTarget(target);
+
+          return Reflect[trapName](target, ...trapArguments);
+        },
+      ]),
+    ),
+  );
+}
+
+/**
+ * Loads a plugin when the feature that needs it is enabled, so disabled features never load theirs.
+ * `require` keeps config generation synchronous; Node 20.19+ loads ES module plugins with it too, as long as they have no top-level `await`.
+ * @param {string} specifier - e.g. `eslint-plugin-storybook`
+ * @param {string} missingMessage - Thrown when the plugin or one of its dependencies is not installed
+ * @returns {any} The plugin module, or its default export when it has one
+ * @throws {Error} When the plugin is missing or cannot be loaded synchronously; any other error the plugin throws is passed through
+ */
+function requirePlugin(specifier, missingMessage) {
+  try {
+    const pluginModule = require(specifier);
+
+    return pluginModule.default ?? pluginModule;
+  } catch (error) {
+    if (
+      error.code === "MODULE_NOT_FOUND" ||
+      error.code === "ERR_MODULE_NOT_FOUND"
+    ) {
+      throw new Error(missingMessage, { cause: error });
+    }
+
+    if (
+      error.code === "ERR_REQUIRE_ESM" ||
+      error.code === "ERR_REQUIRE_ASYNC_MODULE"
+    ) {
+      throw new Error(
+        `${specifier} is an ES module that cannot be loaded synchronously on Node ${process.version}. Use Node 20.19 or later, and a version of the plugin without top-level await.`,
+        { cause: error },
+      );
+    }
+
+    throw error;
+  }
+}
+
+export { createLazyConfigArray, requirePlugin };
@@ -1,5 +1,13 @@
-import pluginQuery from "@tanstack/eslint-plugin-query";
+import { requirePlugin } from "./pluginLoader.js";
 
-const queryConfig = [...pluginQuery.configs["flat/recommended"]];
+/** @returns {import("eslint").Linter.Config[]} */
+function getQueryConfig() {
+  const pluginQuery = requirePlugin(
+    "@tanstack/eslint-plugin-query",
+    "TanStack Query linting requires @tanstack/eslint-plugin-query@^5.91.4.",
+  );
 
-export default queryConfig;
+  return [...pluginQuery.configs["flat/recommended"]];
+}
+
+export { getQueryConfig };
@@ -1,5 +1,13 @@
-import pluginRouter from "@tanstack/eslint-plugin-router";
+import { requirePlugin } from "./pluginLoader.js";
 
-const routerConfig = [...pluginRouter.configs["flat/recommended"]];
+/** @returns {import("eslint").Linter.Config[]} */
+function getRouterConfig() {
+  const pluginRouter = requirePlugin(
+    "@tanstack/eslint-plugin-router",
+    "TanStack Router linting requires @tanstack/eslint-plugin-router@^1.155.0.",
+  );
 
-export default routerConfig;
+  return [...pluginRouter.configs["flat/recommended"]];
+}
+
+export { getRouterConfig };
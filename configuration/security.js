@@ -0,0 +1,30 @@
+import ubaPlugin from "../plugin/index.js";
+
+/**
+ * @typedef {Object} SecurityOptions
+ * @property {boolean} shouldCheckBrowserSinks - Whether to check HTML sinks such as `innerHTML`, for code that runs in a browser
+ * @property {boolean} shouldCheckNodeSinks - Whether to check `child_process` commands and `fs` paths, for code that runs on Node.js
+ */
+
+/**
+ * @param {SecurityOptions} options
+ * @returns {import("eslint").Linter.Config}
+ */
+function getSecurityConfig({ shouldCheckBrowserSinks, shouldCheckNodeSinks }) {
+  // Node.js code is the product of a backend, but mostly build tooling and config next to a browser app
+  const nodeSinkSeverity = shouldCheckBrowserSinks ? 1 : 2;
+
+  return {
+    files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+    plugins: { uba: ubaPlugin },
+    rules: {
+      "uba/no-hardcoded-secrets": 2,
+      "uba/no-non-literal-command": shouldCheckNodeSinks ? nodeSinkSeverity : 0,
+      "uba/no-non-literal-fs-path": shouldCheckNodeSinks ? nodeSinkSeverity : 0,
+      "uba/no-unsafe-regex": 2,
+      "uba/no-unsanitized-html": shouldCheckBrowserSinks ? 2 : 0,
+    },
+  };
+}
+
+export { getSecurityConfig };
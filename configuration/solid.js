@@ -0,0 +1,53 @@
+import { requirePlugin } from "./pluginLoader.js";
+
+/**
+ * @typedef {Object} SolidOptions
+ * @property {boolean} [shouldEnableTypescript=true] - Whether TypeScript checks undefined JSX identifiers, so `solid/jsx-no-undef` leaves them alone
+ */
+
+/**
+ * @param {SolidOptions} [options]
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getSolidConfig({ shouldEnableTypescript = true } = {}) {
+  const solid = requirePlugin(
+    "eslint-plugin-solid",
+    "Solid linting requires eslint-plugin-solid@^0.18.0.",
+  );
+  const { rules } =
+    solid.configs[
+      shouldEnableTypescript ? "flat/typescript" : "flat/recommended"
+    ];
+
+  const solidConfig = {
+    files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+    languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+    plugins: { solid },
+    rules: {
+      ...rules,
+      // Reading `props.name` into a variable, destructured or not, reads it once and stops tracking it; `solid/reactivity` reports both
+      "prefer-destructuring": 0,
+      "solid/components-return-once": 2,
+      "solid/event-handlers": 2,
+      "solid/imports": 2,
+      "solid/no-react-deps": 2,
+      "solid/no-react-specific-props": 2,
+      "solid/reactivity": 2,
+      "solid/self-closing-comp": 2,
+      "solid/style-prop": 2,
+    },
+  };
+
+  return shouldEnableTypescript
+    ? [
+        solidConfig,
+        {
+          files: ["**/*.tsx"],
+          // Components return `JSX.Element`, which TypeScript infers, so annotating every exported one adds nothing
+          rules: { "@typescript-eslint/explicit-module-boundary-types": 0 },
+        },
+      ]
+    : [solidConfig];
+}
+
+export { getSolidConfig };
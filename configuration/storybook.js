@@ -1,10 +1,11 @@
-import { createRequire } from "node:module";
-
-const require = createRequire(import.meta.url);
+import { requirePlugin } from "./pluginLoader.js";
 
 /** @returns {import("eslint").Linter.Config[]} */
 function getStorybookConfig() {
-  const storybookPlugin = getStorybookPlugin();
+  const storybookPlugin = requirePlugin(
+    "eslint-plugin-storybook",
+    "Storybook linting requires optional peer dependencies: eslint-plugin-storybook@^10.2.8 and storybook@^10.2.8.",
+  );
 
   return [
     ...storybookPlugin.configs["flat/recommended"],
@@ -16,16 +17,4 @@ function getStorybookConfig() {
   ];
 }
 
-function getStorybookPlugin() {
-  try {
-    const storybookPluginModule = require("eslint-plugin-storybook");
-
-    return storybookPluginModule.default ?? storybookPluginModule;
-  } catch {
-    throw new Error(
-      "Storybook linting requires optional peer dependencies: eslint-plugin-storybook@^10.2.8 and storybook@^10.2.8.",
-    );
-  }
-}
-
 export { getStorybookConfig };
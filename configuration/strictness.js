@@ -0,0 +1,187 @@
+import { builtinRules } from "eslint/use-at-your-own-risk";
+
+/**
+ * @typedef {import("eslint").Linter.Config} ESLintConfig
+ */
+
+/**
+ * @typedef {'recommended' | 'strict' | 'pedantic'} Strictness
+ */
+
+/** From least to most aggressive; each level enables the rules of the levels before it */
+const strictnessLevels = ["recommended", "strict", "pedantic"];
+
+/**
+ * Rules only enabled from a given level on. Every other rule belongs to 'recommended'.
+ * 'strict' bans shortcuts that hide intent, 'pedantic' enforces one way to write the same thing.
+ * @type {Record<Exclude<Strictness, 'recommended'>, string[]>}
+ */
+const rulesByStrictness = {
+  pedantic: [
+    "func-style",
+    "init-declarations",
+    "no-inline-comments",
+    "prefer-named-capture-group",
+    "@typescript-eslint/explicit-module-boundary-types",
+    "@typescript-eslint/init-declarations",
+    "@typescript-eslint/method-signature-style",
+    "@typescript-eslint/prefer-enum-initializers",
+    "unicorn/no-negated-condition",
+    "unicorn/no-unreadable-array-destructuring",
+    "unicorn/numeric-separators-style",
+    "unicorn/prefer-ternary",
+    "unicorn/prevent-abbreviations",
+  ],
+  strict: [
+    "complexity",
+    "default-case",
+    "guard-for-in",
+    "logical-assignment-operators",
+    "max-depth",
+    "max-nested-callbacks",
+    "no-bitwise",
+    "no-continue",
+    "no-eq-null",
+    "no-implicit-coercion",
+    "no-lonely-if",
+    "no-multi-assign",
+    "no-nested-ternary",
+    "no-param-reassign",
+    "no-plusplus",
+    "operator-assignment",
+    "prefer-destructuring",
+    "@typescript-eslint/no-confusing-void-expression",
+    "@typescript-eslint/no-dynamic-delete",
+    "@typescript-eslint/no-non-null-assertion",
+    "@typescript-eslint/no-unnecessary-condition",
+    "@typescript-eslint/prefer-nullish-coalescing",
+    "@typescript-eslint/promise-function-async",
+    "@typescript-eslint/restrict-template-expressions",
+    "@typescript-eslint/strict-boolean-expressions",
+    "unicorn/consistent-destructuring",
+    "unicorn/explicit-length-check",
+    "unicorn/no-array-callback-reference",
+    "unicorn/no-lonely-if",
+    "unicorn/prefer-single-call",
+    "unicorn/prefer-spread",
+    "unicorn/prefer-switch",
+  ],
+};
+
+const nonCorrectnessRuleTypes = new Set(["layout", "suggestion"]);
+
+const severities = { error: 2, off: 0, warn: 1 };
+
+/**
+ * Turns off the rules above `strictness` and, in adoption mode, downgrades every rule that is not
+ * about correctness from error to warning. Rules that declare no `meta.type` are treated as correctness rules.
+ * @param {import("./overrides.js").FeatureConfig[]} featureConfigs
+ * @param {Object} options
+ * @param {boolean} options.adoptionMode
+ * @param {Strictness} options.strictness
+ * @returns {import("./overrides.js").FeatureConfig[]}
+ * @throws {Error} When `strictness` is not a known level
+ */
+function applyStrictness(featureConfigs, { adoptionMode, strictness }) {
+  const levelIndex = strictnessLevels.indexOf(strictness);
+
+  if (levelIndex === -1) {
+    throw new Error(
+      `Unknown strictness "${strictness}". Levels: ${strictnessLevels.join(", ")}.`,
+    );
+  }
+
+  const disabledRules = new Set(
+    strictnessLevels
+      .slice(levelIndex + 1)
+      .flatMap((level) => rulesByStrictness[level]),
+  );
+  const plugins = Object.assign(
+    {},
+    ...featureConfigs
+      .flatMap(([, config]) => config ?? [])
+      .map((config) => config.plugins ?? {}),
+  );
+
+  /**
+   * @param {string} ruleName
+   * @param {import("eslint").Linter.RuleEntry} ruleEntry
+   * @returns {import("eslint").Linter.RuleEntry}
+   */
+  function adjustRuleEntry(ruleName, ruleEntry) {
+    if (disabledRules.has(ruleName)) {
+      return setSeverity(ruleEntry, 0);
+    }
+
+    return adoptionMode &&
+      getSeverity(ruleEntry) === 2 &&
+      nonCorrectnessRuleTypes.has(findRuleType(ruleName, plugins))
+      ? setSeverity(ruleEntry, 1)
+      : ruleEntry;
+  }
+
+  /**
+   * @param {ESLintConfig} config
+   * @returns {ESLintConfig}
+   */
+  function adjustConfig(config) {
+    return config.rules
+      ? {
+          ...config,
+          rules: Object.fromEntries(
+            Object.entries(config.rules).map(([ruleName, ruleEntry]) => [
+              ruleName,
+              adjustRuleEntry(ruleName, ruleEntry),
+            ]),
+          ),
+        }
+      : config;
+  }
+
+  return featureConfigs.map(([featureName, config]) => [
+    featureName,
+    Array.isArray(config)
+      ? config.map((featureConfig) => adjustConfig(featureConfig))
+      : config && adjustConfig(config),
+  ]);
+}
+
+/**
+ * @param {string} ruleName
+ * @param {Record<string, import("eslint").ESLint.Plugin>} plugins
+ * @returns {string | undefined} `problem`, `suggestion` or `layout`, when the rule declares it
+ */
+function findRuleType(ruleName, plugins) {
+  const separatorIndex = ruleName.lastIndexOf("/");
+  const rule =
+    separatorIndex === -1
+      ? builtinRules.get(ruleName)
+      : plugins[ruleName.slice(0, separatorIndex)]?.rules?.[
+          ruleName.slice(separatorIndex + 1)
+        ];
+
+  return rule?.meta?.type;
+}
+
+/**
+ * @param {import("eslint").Linter.RuleEntry} ruleEntry
+ * @returns {number}
+ */
+function getSeverity(ruleEntry) {
+  const [severity] = [ruleEntry].flat();
+
+  return typeof severity === "string" ? severities[severity] : severity;
+}
+
+/**
+ * @param {import("eslint").Linter.RuleEntry} ruleEntry
+ * @param {number} severity
+ * @returns {import("eslint").Linter.RuleEntry} The entry with its options kept
+ */
+function setSeverity(ruleEntry, severity) {
+  return Array.isArray(ruleEntry)
+    ? [severity, ...ruleEntry.slice(1)]
+    : severity;
+}
+
+export { applyStrictness };
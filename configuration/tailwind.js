@@ -0,0 +1,147 @@
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+import { requirePlugin } from "./pluginLoader.js";
+
+// Shared with `prettier-plugin-tailwindcss` so ESLint and Prettier agree on where classes live.
+const tailwindFunctions = ["clsx", "cn", "cva", "tv", "twMerge", "twJoin"];
+
+const tailwindAttributes = ["class", "className"];
+
+const tailwindV3ConfigFiles = [
+  "tailwind.config.js",
+  "tailwind.config.cjs",
+  "tailwind.config.mjs",
+  "tailwind.config.ts",
+];
+
+const tailwindV4StylesheetCandidates = [
+  "src/styles.css",
+  "src/index.css",
+  "src/app.css",
+  "src/globals.css",
+  "src/styles/globals.css",
+  "src/styles/tailwind.css",
+  "app/globals.css",
+  "app/app.css",
+];
+
+const tailwindImportPattern = /@import\s+["']tailwindcss["']/u;
+
+/**
+ * @typedef {Object} TailwindOptions
+ * @property {string} [entryPoint] - Tailwind v4 CSS entry point (e.g. `src/styles.css`) or v3 `tailwind.config.js`; detected from `rootDir` when omitted
+ * @property {string} [rootDir=process.cwd()] - Project root the entry point is detected in
+ */
+
+/**
+ * Settings understood by both majors of `eslint-plugin-tailwindcss`:
+ * v3 reads `config`/`callees`/`classRegex`, v4 reads `cssConfigPath`/`functions`/`attributes`.
+ * @param {string | undefined} entryPoint
+ * @returns {Record<string, unknown>}
+ */
+function buildTailwindSettings(entryPoint) {
+  const settings = {
+    attributes: tailwindAttributes,
+    callees: tailwindFunctions,
+    classRegex: "^class(Name)?$",
+    functions: tailwindFunctions,
+  };
+
+  if (entryPoint === undefined) {
+    return settings;
+  }
+
+  return isStylesheet(entryPoint)
+    ? { ...settings, cssConfigPath: entryPoint }
+    : { ...settings, config: entryPoint };
+}
+
+/**
+ * Finds the Tailwind entry point of the project in `rootDir`.
+ * A v3 `tailwind.config.*` wins, otherwise the first well-known stylesheet importing `tailwindcss` (v4 CSS-first).
+ * @param {string} [rootDir=process.cwd()]
+ * @returns {string | undefined} Absolute path of the entry point
+ */
+function findTailwindEntryPoint(rootDir = process.cwd()) {
+  const configFile = tailwindV3ConfigFiles
+    .map((file) => resolve(rootDir, file))
+    .find((path) => existsSync(path));
+
+  if (configFile) {
+    return configFile;
+  }
+
+  return tailwindV4StylesheetCandidates
+    .map((file) => resolve(rootDir, file))
+    .find(
+      (path) =>
+        existsSync(path) &&
+        tailwindImportPattern.test(readFileSync(path, "utf8")),
+    );
+}
+
+/**
+ * @param {TailwindOptions} options
+ * @returns {import("eslint").Linter.Config}
+ */
+function getTailwindConfig({
+  rootDir = process.cwd(),
+  entryPoint = findTailwindEntryPoint(rootDir),
+}) {
+  const tailwindPlugin = requirePlugin(
+    "eslint-plugin-tailwindcss",
+    "Tailwind linting requires optional peer dependencies: eslint-plugin-tailwindcss (^3.18.2 for Tailwind v3, ^4.0.0 for Tailwind v4) and tailwindcss.",
+  );
+
+  return {
+    files: ["**/*.{js,jsx,ts,tsx}"],
+    plugins: { tailwindcss: tailwindPlugin },
+    rules: {
+      "tailwindcss/classnames-order": 2,
+      "tailwindcss/enforces-negative-arbitrary-values": 2,
+      "tailwindcss/enforces-shorthand": 2,
+      "tailwindcss/migration-from-tailwind-2": 0,
+      "tailwindcss/no-arbitrary-value": 1,
+      "tailwindcss/no-contradicting-classname": 2,
+      // Component libraries and CSS modules add classes Tailwind cannot know about
+      "tailwindcss/no-custom-classname": 0,
+      "tailwindcss/no-unnecessary-arbitrary-value": 2,
+    },
+    settings: { tailwindcss: buildTailwindSettings(entryPoint) },
+  };
+}
+
+/**
+ * Builds the `prettier-plugin-tailwindcss` options matching the ESLint class-order settings
+ * @param {TailwindOptions} options
+ * @returns {Record<string, unknown>}
+ */
+function getTailwindPrettierOptions({
+  rootDir = process.cwd(),
+  entryPoint = findTailwindEntryPoint(rootDir),
+}) {
+  const options = { tailwindAttributes, tailwindFunctions };
+
+  if (entryPoint === undefined) {
+    return options;
+  }
+
+  return isStylesheet(entryPoint)
+    ? { ...options, tailwindStylesheet: entryPoint }
+    : { ...options, tailwindConfig: entryPoint };
+}
+
+/**
+ * @param {string | undefined} entryPoint
+ * @returns {boolean}
+ */
+function isStylesheet(entryPoint) {
+  return entryPoint?.endsWith(".css") ?? false;
+}
+
+export {
+  findTailwindEntryPoint,
+  getTailwindConfig,
+  getTailwindPrettierOptions,
+};
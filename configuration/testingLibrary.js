@@ -0,0 +1,45 @@
+import { requirePlugin } from "./pluginLoader.js";
+
+/**
+ * @typedef {Object} TestingLibraryOptions
+ * @property {string[]} [ignores=[]] - Globs of test files another runner owns
+ */
+
+// React component tests, which Vitest runs with `@testing-library/react` and `jest-dom`
+const componentTestFiles = ["**/*.test.tsx", "**/*.spec.tsx"];
+
+/**
+ * @param {TestingLibraryOptions} [options]
+ * @returns {import("eslint").Linter.Config}
+ */
+function getTestingLibraryConfig({ ignores = [] } = {}) {
+  const testingLibraryPlugin = requirePlugin(
+    "eslint-plugin-testing-library",
+    "Component test linting requires eslint-plugin-testing-library@^7.16.2.",
+  );
+  const jestDomPlugin = requirePlugin(
+    "eslint-plugin-jest-dom",
+    "Component test linting requires eslint-plugin-jest-dom@^5.10.1.",
+  );
+
+  return {
+    files: componentTestFiles,
+    ignores,
+    plugins: {
+      "jest-dom": jestDomPlugin,
+      "testing-library": testingLibraryPlugin,
+    },
+    rules: {
+      ...testingLibraryPlugin.configs["flat/react"].rules,
+      ...jestDomPlugin.configs["flat/recommended"].rules,
+      // Query what the user sees, not the DOM: `container.querySelector()` and `.parentElement` couple tests to markup
+      "testing-library/no-container": 2,
+      "testing-library/no-node-access": 2,
+      "testing-library/prefer-screen-queries": 2,
+      // `fireEvent` skips the events a real user triggers along the way, e.g. focus and keydown before a change
+      "testing-library/prefer-user-event": 2,
+    },
+  };
+}
+
+export { componentTestFiles, getTestingLibraryConfig };
@@ -23,7 +23,6 @@ const unicornConfig = {
     "unicorn/no-array-callback-reference": 2,
     "unicorn/no-array-for-each": 0,
     "unicorn/no-array-method-this-argument": 2,
-    "unicorn/no-array-push-push": 2,
     "unicorn/no-array-reduce": 0,
     "unicorn/no-await-expression-member": 0,
     "unicorn/no-console-spaces": 0,
@@ -31,12 +30,12 @@ const unicornConfig = {
     "unicorn/no-empty-file": 2,
     "unicorn/no-for-loop": 2,
     "unicorn/no-hex-escape": 0,
-    "unicorn/no-instanceof-array": 2,
+    "unicorn/no-instanceof-builtins": 2,
     "unicorn/no-invalid-remove-event-listener": 2,
     "unicorn/no-keyword-prefix": 0,
     "unicorn/no-lonely-if": 2,
     "unicorn/no-negated-condition": 2,
-    "unicorn/no-nested-ternary": 2,
+    "unicorn/no-nested-ternary": 0,
     "unicorn/no-new-array": 2,
     "unicorn/no-new-buffer": 2,
     "unicorn/no-null": 0,
@@ -57,7 +56,7 @@ const unicornConfig = {
     "unicorn/no-useless-switch-case": 2,
     "unicorn/no-useless-undefined": 2,
     "unicorn/no-zero-fractions": 2,
-    "unicorn/number-literal-case": 2,
+    "unicorn/number-literal-case": 0,
     "unicorn/numeric-separators-style": 2,
     "unicorn/prefer-add-event-listener": 2,
     "unicorn/prefer-array-find": 2,
@@ -95,6 +94,7 @@ const unicornConfig = {
     "unicorn/prefer-regexp-test": 2,
     "unicorn/prefer-set-has": 0,
     "unicorn/prefer-set-size": 0,
+    "unicorn/prefer-single-call": 2,
     "unicorn/prefer-spread": 2,
     "unicorn/prefer-string-replace-all": 2,
     "unicorn/prefer-string-slice": 2,
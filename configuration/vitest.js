@@ -1,15 +1,48 @@
-import vitest from "@vitest/eslint-plugin";
-
-/** @type {import("eslint").Linter.Config} */
-const vitestConfig = {
-  files: ["tests/**", "**/*.test.ts", "**/*.test.js"],
-  languageOptions: { globals: { ...vitest.environments.env.globals } },
-  plugins: { vitest },
-  rules: {
-    ...vitest.configs.recommended.rules,
-    "vitest/max-nested-describe": ["error", { max: 3 }],
-  },
-  settings: { vitest: { typecheck: true } },
-};
-
-export default vitestConfig;
+import { requirePlugin } from "./pluginLoader.js";
+
+const vitestFiles = ["tests/**", "**/*.test.ts", "**/*.test.js"];
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.componentTestFiles=[]] - Globs of React component tests, which Vitest runs too
+ * @param {string[]} [options.ignores=[]] - Globs of test files another runner owns
+ * @param {import("./typescript.js").TypeCheckMode} [options.typeCheckMode='full'] - 'syntactic' leaves out the type-aware checks, which would crash without type information
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getVitestConfig({
+  componentTestFiles = [],
+  ignores = [],
+  typeCheckMode = "full",
+} = {}) {
+  const vitest = requirePlugin(
+    "@vitest/eslint-plugin",
+    "Vitest linting requires @vitest/eslint-plugin@1.6.7.",
+  );
+
+  const vitestConfig = {
+    files: [...vitestFiles, ...componentTestFiles],
+    ignores,
+    languageOptions: { globals: { ...vitest.environments.env.globals } },
+    plugins: { vitest },
+    rules: {
+      ...vitest.configs.recommended.rules,
+      "vitest/max-nested-describe": ["error", { max: 3 }],
+    },
+  };
+
+  if (typeCheckMode === "syntactic") {
+    return [vitestConfig];
+  }
+
+  return [
+    vitestConfig,
+    {
+      // Type-aware checks need the TypeScript parser, so JavaScript tests would crash with them
+      files: ["tests/**/*.ts", "**/*.test.ts", ...componentTestFiles],
+      ignores,
+      settings: { vitest: { typecheck: true } },
+    },
+  ];
+}
+
+export { getVitestConfig, vitestFiles };
@@ -0,0 +1,138 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { globSync } from "tinyglobby";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * @typedef {Object} WorkspacePackage
+ * @property {string} directory - Package directory relative to the workspace root, e.g. `apps/web`
+ * @property {string} [matchedGlob] - Last key of the `packages` option matching the directory, if any
+ */
+
+/**
+ * Reads the package globs from `pnpm-workspace.yaml`, or else the `workspaces` field of package.json (npm, Yarn, Bun)
+ * @param {string} rootDir - Workspace root
+ * @returns {string[]} Globs relative to `rootDir`; `!`-prefixed globs exclude packages
+ */
+function discoverWorkspaceGlobs(rootDir) {
+  const pnpmWorkspacePath = join(rootDir, "pnpm-workspace.yaml");
+
+  if (existsSync(pnpmWorkspacePath)) {
+    return parseYaml(readFileSync(pnpmWorkspacePath, "utf8"))?.packages ?? [];
+  }
+
+  const packageJsonPath = join(rootDir, "package.json");
+
+  if (!existsSync(packageJsonPath)) {
+    return [];
+  }
+
+  const { workspaces } = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+
+  // Yarn also accepts `{ packages: [...], nohoist: [...] }`
+  return Array.isArray(workspaces) ? workspaces : (workspaces?.packages ?? []);
+}
+
+/**
+ * @param {string} rootDir
+ * @param {string[]} globs - `!`-prefixed globs exclude directories
+ * @returns {string[]} Matching directories that contain a package.json, relative to `rootDir`
+ */
+function findPackageDirectories(rootDir, globs) {
+  const includedGlobs = globs.filter((glob) => !glob.startsWith("!"));
+
+  if (includedGlobs.length === 0) {
+    return [];
+  }
+
+  return globSync(includedGlobs, {
+    cwd: rootDir,
+    expandDirectories: false,
+    ignore: [
+      "**/node_modules/**",
+      ...globs
+        .filter((glob) => glob.startsWith("!"))
+        .map((glob) => glob.slice(1)),
+    ],
+    onlyDirectories: true,
+  })
+    .map((directory) => directory.replace(/\/$/u, ""))
+    .filter((directory) => existsSync(join(rootDir, directory, "package.json")))
+    .sort();
+}
+
+/**
+ * Lists the workspace's packages with the `packages` key that configures each one.
+ * A directory matched by several keys takes the last one, like later flat config objects win.
+ * @param {Object} options
+ * @param {string[]} options.configuredGlobs - Keys of the `packages` option, in order
+ * @param {string} options.rootDir - Workspace root
+ * @returns {WorkspacePackage[]}
+ */
+function findWorkspacePackages({ configuredGlobs, rootDir }) {
+  const directories = new Set(
+    findPackageDirectories(rootDir, discoverWorkspaceGlobs(rootDir)),
+  );
+  /** @type {Map<string, string>} */
+  const matchedGlobByDirectory = new Map();
+
+  for (const glob of configuredGlobs) {
+    for (const directory of findPackageDirectories(rootDir, [glob])) {
+      directories.add(directory);
+      matchedGlobByDirectory.set(directory, glob);
+    }
+  }
+
+  return [...directories]
+    .sort()
+    .map((directory) => ({
+      directory,
+      matchedGlob: matchedGlobByDirectory.get(directory),
+    }));
+}
+
+/**
+ * Points the import resolver and the TypeScript parser at the package instead of the workspace root
+ * @param {string} packageDirectory - Absolute package directory
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function getPackageResolverConfigs(packageDirectory) {
+  const tsconfigPath = join(packageDirectory, "tsconfig.json");
+
+  return [
+    {
+      files: ["**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}"],
+      name: "uba/workspace/resolver",
+      settings: {
+        "import/resolver": {
+          node: true,
+          typescript: {
+            alwaysTryTypes: true,
+            ...(existsSync(tsconfigPath) ? { project: tsconfigPath } : {}),
+          },
+        },
+      },
+    },
+    {
+      files: ["**/*.{ts,tsx,mts,cts}"],
+      languageOptions: { parserOptions: { tsconfigRootDir: packageDirectory } },
+      name: "uba/workspace/tsconfigRootDir",
+    },
+  ];
+}
+
+/**
+ * Scopes config objects to a package, so `files` and `ignores` patterns match inside it only
+ * @param {import("eslint").Linter.Config[]} configs
+ * @param {string} directory - Package directory relative to the workspace root
+ * @returns {import("eslint").Linter.Config[]}
+ */
+function restrictConfigsToDirectory(configs, directory) {
+  return configs.map((config) => ({ ...config, basePath: directory }));
+}
+
+export {
+  findWorkspacePackages,
+  getPackageResolverConfigs,
+  restrictConfigsToDirectory,
+};
@@ -0,0 +1,29 @@
+import { requirePlugin } from "./pluginLoader.js";
+
+/** @returns {import("eslint").Linter.Config} */
+function getYamlConfig() {
+  const yml = requirePlugin(
+    "eslint-plugin-yml",
+    "YAML linting requires eslint-plugin-yml@^3.8.1.",
+  );
+  // The second object of each turns off the core rules YAML has no use for, the third holds the plugin's rules
+  const [, baseConfig, standardConfig] = yml.configs["flat/standard"];
+  const prettierConfig = yml.configs["flat/prettier"][2];
+
+  return {
+    files: ["**/*.yaml", "**/*.yml"],
+    // Lock files are generated, and too large to parse on every run
+    ignores: ["**/pnpm-lock.yaml"],
+    language: "yml/yaml",
+    plugins: { yml },
+    rules: {
+      ...baseConfig.rules,
+      ...standardConfig.rules,
+      ...prettierConfig.rules,
+      // An empty value is null, which GitHub Actions (`pull_request:`) and Compose (`volumes:`) rely on
+      "yml/no-empty-mapping-value": 0,
+    },
+  };
+}
+
+export { getYamlConfig };
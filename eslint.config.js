@@ -1,82 +1,373 @@
 import pluginChaiFriendly from "eslint-plugin-chai-friendly";
 import perfectionist from "eslint-plugin-perfectionist";
+import { resolve } from "node:path";
 
-import a11yConfig from "./configuration/a11y.js";
-import canonicalConfig from "./configuration/canonical.js";
-import cypressConfig from "./configuration/cypress.js";
+import { getA11yConfig } from "./configuration/a11y.js";
+import { findRuleIssues } from "./configuration/audit.js";
+import { getCanonicalConfig } from "./configuration/canonical.js";
+import codingStyleConfig from "./configuration/codingStyle.js";
+import {
+  cypressDirectoryFiles,
+  cypressFiles,
+  getCypressConfig,
+} from "./configuration/cypress.js";
 import eslintConfig from "./configuration/eslint.js";
-import filenameConfig from "./configuration/filename.js";
-import functionNameConfig from "./configuration/functionName.js";
+import { explainRules, nameConfigs } from "./configuration/explain.js";
+import {
+  detectFeatures,
+  formatFeatureDetections,
+} from "./configuration/features.js";
+import { getFilenameConfig } from "./configuration/filename.js";
+import { getFunctionNameConfig } from "./configuration/functionName.js";
 import { browserGlobals, nodeGlobals } from "./configuration/globals.js";
-import graphqlConfig from "./configuration/graphql.js";
+import { getGraphqlConfig } from "./configuration/graphql.js";
 import {
+  getImportCycleConfigs,
   importEslintJavascriptConfig,
   importEslintTypescriptConfig,
 } from "./configuration/import.js";
+import { getJsonConfig } from "./configuration/json.js";
+import {
+  cliConsoleConfig,
+  getStructuredLoggingConfig,
+} from "./configuration/logging.js";
+import { getMarkdownConfig } from "./configuration/markdown.js";
+import { getNodeConfig } from "./configuration/node.js";
+import { buildOverrideConfigs } from "./configuration/overrides.js";
+import {
+  defaultPlaywrightFiles,
+  getPlaywrightConfig,
+} from "./configuration/playwright.js";
+import { createLazyConfigArray } from "./configuration/pluginLoader.js";
 import promiseConfig from "./configuration/promise.js";
-import queryConfig from "./configuration/query.js";
-import reactConfig from "./configuration/react.js";
-import routerConfig from "./configuration/router.js";
+import { getQueryConfig } from "./configuration/query.js";
+import { getReactConfig } from "./configuration/react.js";
+import { getRouterConfig } from "./configuration/router.js";
+import { getSecurityConfig } from "./configuration/security.js";
+import { getSolidConfig } from "./configuration/solid.js";
 import { getStorybookConfig } from "./configuration/storybook.js";
-import typescriptEslintConfig from "./configuration/typescript.js";
+import { applyStrictness } from "./configuration/strictness.js";
+import {
+  findTailwindEntryPoint,
+  getTailwindConfig,
+} from "./configuration/tailwind.js";
+import {
+  componentTestFiles,
+  getTestingLibraryConfig,
+} from "./configuration/testingLibrary.js";
+import { getTypescriptConfig } from "./configuration/typescript.js";
 import unicornConfig from "./configuration/unicorn.js";
-import vitestConfig from "./configuration/vitest.js";
+import { getVitestConfig } from "./configuration/vitest.js";
+import {
+  findWorkspacePackages,
+  getPackageResolverConfigs,
+  restrictConfigsToDirectory,
+} from "./configuration/workspace.js";
+import { getYamlConfig } from "./configuration/yaml.js";
 
 /**
- * @typedef {'fullstack' | 'backendOnly'} AppType
+ * @typedef {'fullstack' | 'solid' | 'backendOnly' | 'cli' | 'auto'} AppType
  */
 
 /**
  * @typedef {Object} EslintConfigOptions
- * @property {boolean} [shouldEnableTypescript=true] - Whether to enable TypeScript configuration
- * @property {'on' | 'off'} [importCycleCheckMode='off'] - When set to 'on', the heavy `import/no-cycle` rule is disabled locally and enforced only in CI; 'off' enforces it everywhere
- * @property {AppType} [appType='fullstack'] - Type of application to configure
- * @property {boolean} [shouldEnableStorybook=false] - Whether to enable Storybook configuration
+ * @property {boolean} [shouldEnableTypescript=true] - Whether to enable TypeScript configuration; with 'auto', overrides detection when set
+ * @property {import("./configuration/typescript.js").TypeCheckMode} [typeCheckMode='full'] - 'syntactic' drops the rules that need type information, for fast editor and pre-commit linting
+ * @property {string[]} [tsconfigFiles] - tsconfig files to type-check with, relative to `rootDir`, e.g. `["tsconfig.app.json", "tsconfig.node.json"]`; the nearest tsconfig.json of each file when omitted
+ * @property {'on' | 'off'} [importCycleCheckMode='off'] - 'on' enforces the heavy `import/no-cycle` rule, 'off' disables it; the default config turns it on in CI only
+ * @property {import("./configuration/import.js").ImportCycleOptions} [importCycle] - `import/no-cycle` settings for 'on', e.g. `{ maxDepth: 3, files: ["src/**"] }`
+ * @property {AppType} [appType='fullstack'] - Type of application to configure; 'solid' is fullstack with Solid in place of React and SolidStart route naming; 'cli' is backend-only with console output allowed; 'auto' detects features from the nearest package.json and config files
+ * @property {string} [rootDir=process.cwd()] - Project root: where 'auto' starts looking for package.json and import aliases are read from tsconfig.json/jsconfig.json
+ * @property {import("./configuration/canonical.js").ImportAliases} [importAliases] - Extra import aliases, relative to `rootDir`, e.g. `{ "#/": "src" }`; replace tsconfig `paths` entries with the same prefix
+ * @property {boolean} [shouldLogDetectedFeatures=false] - Whether 'auto' prints what it detected and why
+ * @property {boolean} [shouldEnableStorybook=false] - Whether to enable Storybook configuration; with 'auto', overrides detection when set
+ * @property {string | string[]} [graphqlSchema] - GraphQL schema SDL files, or an introspection JSON snapshot of a remote schema, relative to `rootDir` ('auto' only); read from graphql-config when neither it nor `graphqlDocuments` is set
+ * @property {string | string[]} [graphqlDocuments] - Files holding the GraphQL operations and fragments, relative to `rootDir` ('auto' only); code files are searched for `gql` tags
+ * @property {boolean} [shouldEnablePlaywright=false] - Whether to enable Playwright configuration (fullstack and solid only); with 'auto', overrides detection when set
+ * @property {string[]} [playwrightFiles] - Globs of the Playwright tests, e.g. `["e2e/**"]`; files under `e2e` and `.spec.js`/`.spec.ts` files anywhere when omitted
+ * @property {boolean} [shouldEnableTestingLibrary] - Whether `*.test.tsx` and `*.spec.tsx` files are React component tests run by Vitest, with the Testing Library rules, rather than Cypress's (fullstack and 'auto' only); on with React and Vitest when omitted
+ * @property {boolean} [shouldEnableStructuredLogging=false] - Whether to require structured, secret-free logger calls
+ * @property {boolean} [shouldEnableSecurity=false] - Whether to check for injection, unsafe regular expressions, unsanitized HTML and hardcoded secrets; the checks follow the app type's runtime
+ * @property {boolean} [shouldEnableJson=false] - Whether to lint JSON files, with package.json and tsconfig keys in a fixed order
+ * @property {boolean} [shouldEnableYaml=false] - Whether to lint YAML files, e.g. GitHub workflows
+ * @property {boolean} [shouldEnableMarkdown=false] - Whether to lint the fenced code blocks of Markdown files, with relaxed rules
+ * @property {string[]} [loggerNames] - Objects whose `info()`, `error()`, etc. are log calls, e.g. `["logger", "pino"]`
+ * @property {string[]} [nodeEntryPoints] - Globs of the files that may call `process.exit()` ('backendOnly', and 'auto' without a UI framework), e.g. `["src/worker.ts"]`; `bin/**`, `scripts/**` and root or `src` `index`, `main` and `server` files when omitted
+ * @property {boolean} [shouldEnableTailwind] - Whether to enable Tailwind configuration (fullstack and solid only); detected from a `tailwindcss` dependency when omitted, as with 'auto'
+ * @property {string} [tailwindEntryPoint] - Tailwind v4 CSS entry point or v3 `tailwind.config.js`, detected when omitted
+ * @property {import("./configuration/filename.js").NamingConventions} [namingConventions] - File and folder naming policy, merged over the defaults, e.g. `{ filenames: { "src/utils/*": "KEBAB_CASE" } }`
+ * @property {import("./configuration/functionName.js").VerbDictionary} [verbDictionary] - Extra verbs and verb packs for `function-name/starts-with-verb`, e.g. `{ packs: ["react", "testing"], extraVerbs: ["reconcile"] }`
+ * @property {import("./configuration/strictness.js").Strictness} [strictness='pedantic'] - How aggressive the rules are: 'recommended' leaves out the 'strict' rules (`no-plusplus`, `strict-boolean-expressions`, ...), which leave out the 'pedantic' ones (`func-style`, `prevent-abbreviations`, ...)
+ * @property {boolean} [adoptionMode=false] - Whether rules that are not about correctness only warn, to move an existing codebase up a strictness level
+ * @property {import("./configuration/overrides.js").RuleOverrides} [overrides] - Rule entries keyed by feature, e.g. `{ react: { "react/jsx-key": 0 } }`; validated against the loaded plugins
+ */
+
+/**
+ * Checks the config generated with the given options for rules that no longer exist, deprecated rules that are on,
+ * plugin rules on together with the core rule they re-implement, and formatting rules that fight Prettier
+ * @param {EslintConfigOptions} [options={}] - Options as passed to `generateEslintConfig`
+ * @returns {Promise<import("./configuration/audit.js").AuditIssue[]>} Empty when the config is clean
+ * @throws {Error} When the options are invalid
+ */
+export function checkEslintConfig(options = {}) {
+  return findRuleIssues(generateEslintConfig(options), {
+    cwd: options.rootDir,
+  });
+}
+
+/**
+ * Lists the rules that apply to a file with the given options, and the config object that last set each one, e.g. `uba/unicorn`
+ * @param {string} filePath - File to explain, relative to `rootDir`
+ * @param {EslintConfigOptions} [options={}] - Options as passed to `generateEslintConfig`
+ * @returns {Promise<import("./configuration/explain.js").RuleExplanation[]>} Every configured rule, including those turned off, sorted by rule
+ * @throws {Error} When the options are invalid, or the file is ignored or matches no config object
+ */
+export function explainEslintConfig(filePath, options = {}) {
+  return explainRules(generateEslintConfig(options), {
+    cwd: options.rootDir,
+    filePath,
+  });
+}
+
+/**
+ * @typedef {import('eslint').Linter.Config} ESLintConfig
  */
 
 /**
  * Generates ESLint configuration based on application type
  * @param {EslintConfigOptions} options - Configuration options
  * @returns {import('eslint').Linter.Config[]} Array of ESLint configurations
- * @throws {Error} When an invalid app type is provided
+ * @throws {Error} When an invalid app type, strictness, type check mode or import cycle check mode is provided, `overrides` names an unknown or disabled feature or rule, or the GraphQL schema is a URL
  */
+// eslint-disable-next-line complexity
 export function generateEslintConfig({
+  adoptionMode,
   appType = "fullstack",
+  graphqlDocuments,
+  graphqlSchema,
+  importAliases,
+  importCycle,
   importCycleCheckMode = "off",
-  shouldEnableStorybook = false,
-  shouldEnableTypescript = true,
+  loggerNames,
+  namingConventions,
+  nodeEntryPoints,
+  overrides,
+  playwrightFiles,
+  rootDir,
+  shouldEnableJson = false,
+  shouldEnableMarkdown = false,
+  shouldEnablePlaywright,
+  shouldEnableSecurity = false,
+  shouldEnableStorybook,
+  shouldEnableStructuredLogging = false,
+  shouldEnableTailwind,
+  shouldEnableTestingLibrary,
+  shouldEnableTypescript,
+  shouldEnableYaml = false,
+  shouldLogDetectedFeatures = false,
+  strictness,
+  tailwindEntryPoint,
+  tsconfigFiles,
+  typeCheckMode,
+  verbDictionary,
 }) {
   switch (appType) {
+    case "auto": {
+      const detectedFeatures = detectFeatures({ rootDir });
+
+      if (shouldLogDetectedFeatures) {
+        // eslint-disable-next-line no-console
+        console.info(formatFeatureDetections(detectedFeatures));
+      }
+
+      return generateEslintConfigByFeatures({
+        ...detectedFeatures.options,
+        adoptionMode,
+        graphqlDocuments,
+        graphqlSchema,
+        importAliases,
+        importCycle,
+        importCycleCheckMode,
+        loggerNames,
+        namingConventions,
+        nodeEntryPoints,
+        overrides,
+        playwrightFiles,
+        rootDir,
+        shouldEnableJson,
+        shouldEnableMarkdown,
+        shouldEnablePlaywright:
+          shouldEnablePlaywright ??
+          detectedFeatures.options.shouldEnablePlaywright,
+        shouldEnableSecurity,
+        shouldEnableStorybook:
+          shouldEnableStorybook ??
+          detectedFeatures.options.shouldEnableStorybook,
+        shouldEnableStructuredLogging,
+        shouldEnableTailwind:
+          shouldEnableTailwind ?? detectedFeatures.options.shouldEnableTailwind,
+        shouldEnableTestingLibrary,
+        shouldEnableTypescript:
+          shouldEnableTypescript ??
+          detectedFeatures.options.shouldEnableTypescript,
+        shouldEnableYaml,
+        strictness,
+        tailwindEntryPoint,
+        tsconfigFiles,
+        typeCheckMode,
+        verbDictionary,
+      });
+    }
     case "backendOnly": {
       return generateEslintConfigByFeatures({
+        adoptionMode,
+        importAliases,
+        importCycle,
         importCycleCheckMode,
+        loggerNames,
+        namingConventions,
+        nodeEntryPoints,
+        overrides,
+        rootDir,
         shouldEnableA11y: false,
         shouldEnableBrowserGlobals: false,
         shouldEnableCypress: false,
         shouldEnableGraphql: false,
+        shouldEnableJson,
+        shouldEnableMarkdown,
+        shouldEnableNode: true,
         shouldEnableNodeGlobals: true,
+        shouldEnablePlaywright: false,
         shouldEnableQuery: false,
         shouldEnableReact: false,
         shouldEnableRouter: false,
+        shouldEnableSecurity,
         shouldEnableStorybook: false,
-        shouldEnableTypescript,
+        shouldEnableStructuredLogging,
+        shouldEnableTailwind: false,
+        shouldEnableTypescript: shouldEnableTypescript ?? true,
         shouldEnableVitest: true,
+        shouldEnableYaml,
+        strictness,
+        tsconfigFiles,
+        typeCheckMode,
+        verbDictionary,
+      });
+    }
+    case "cli": {
+      return generateEslintConfigByFeatures({
+        adoptionMode,
+        importAliases,
+        importCycle,
+        importCycleCheckMode,
+        loggerNames,
+        namingConventions,
+        overrides,
+        rootDir,
+        shouldEnableA11y: false,
+        shouldEnableBrowserGlobals: false,
+        shouldEnableCliConsole: true,
+        shouldEnableCypress: false,
+        shouldEnableGraphql: false,
+        shouldEnableJson,
+        shouldEnableMarkdown,
+        shouldEnableNode: false,
+        shouldEnableNodeGlobals: true,
+        shouldEnablePlaywright: false,
+        shouldEnableQuery: false,
+        shouldEnableReact: false,
+        shouldEnableRouter: false,
+        shouldEnableSecurity,
+        shouldEnableStorybook: false,
+        shouldEnableStructuredLogging,
+        shouldEnableTailwind: false,
+        shouldEnableTypescript: shouldEnableTypescript ?? true,
+        shouldEnableVitest: true,
+        shouldEnableYaml,
+        strictness,
+        tsconfigFiles,
+        typeCheckMode,
+        verbDictionary,
       });
     }
     case "fullstack": {
       return generateEslintConfigByFeatures({
+        adoptionMode,
+        importAliases,
+        importCycle,
         importCycleCheckMode,
+        loggerNames,
+        namingConventions,
+        overrides,
+        playwrightFiles,
+        rootDir,
         shouldEnableA11y: true,
         shouldEnableBrowserGlobals: true,
         shouldEnableCypress: true,
         shouldEnableGraphql: false,
+        shouldEnableJson,
+        shouldEnableMarkdown,
+        shouldEnableNode: false,
         shouldEnableNodeGlobals: true,
+        shouldEnablePlaywright: shouldEnablePlaywright ?? false,
         shouldEnableQuery: true,
         shouldEnableReact: true,
         shouldEnableRouter: true,
-        shouldEnableStorybook,
-        shouldEnableTypescript,
+        shouldEnableSecurity,
+        shouldEnableStorybook: shouldEnableStorybook ?? false,
+        shouldEnableStructuredLogging,
+        shouldEnableTailwind:
+          shouldEnableTailwind ??
+          detectFeatures({ rootDir }).options.shouldEnableTailwind,
+        shouldEnableTestingLibrary,
+        shouldEnableTypescript: shouldEnableTypescript ?? true,
+        shouldEnableVitest: true,
+        shouldEnableYaml,
+        strictness,
+        tailwindEntryPoint,
+        tsconfigFiles,
+        typeCheckMode,
+        verbDictionary,
+      });
+    }
+    case "solid": {
+      return generateEslintConfigByFeatures({
+        adoptionMode,
+        importAliases,
+        importCycle,
+        importCycleCheckMode,
+        loggerNames,
+        namingConventions,
+        overrides,
+        playwrightFiles,
+        rootDir,
+        shouldEnableA11y: true,
+        shouldEnableBrowserGlobals: true,
+        shouldEnableCypress: true,
+        shouldEnableGraphql: false,
+        shouldEnableJson,
+        shouldEnableMarkdown,
+        shouldEnableNode: false,
+        shouldEnableNodeGlobals: true,
+        shouldEnablePlaywright: shouldEnablePlaywright ?? false,
+        shouldEnableQuery: true,
+        shouldEnableReact: false,
+        shouldEnableRouter: false,
+        shouldEnableSecurity,
+        shouldEnableSolid: true,
+        shouldEnableStorybook: shouldEnableStorybook ?? false,
+        shouldEnableStructuredLogging,
+        shouldEnableTailwind:
+          shouldEnableTailwind ??
+          detectFeatures({ rootDir }).options.shouldEnableTailwind,
+        shouldEnableTypescript: shouldEnableTypescript ?? true,
         shouldEnableVitest: true,
+        shouldEnableYaml,
+        strictness,
+        tailwindEntryPoint,
+        tsconfigFiles,
+        typeCheckMode,
+        verbDictionary,
       });
     }
     default: {
@@ -85,82 +376,337 @@ export function generateEslintConfig({
   }
 }
 
-/**
- * @typedef {import('eslint').Linter.Config} ESLintConfig
- */
-
 /**
  * Creates ESLint configuration
  * @param {Object} options - Configuration options
  * @param {boolean} [options.shouldEnableTypescript=true] - Whether to enable TypeScript configuration
+ * @param {import("./configuration/typescript.js").TypeCheckMode} [options.typeCheckMode='full'] - 'syntactic' drops the rules that need type information
+ * @param {string[]} [options.tsconfigFiles] - tsconfig files to type-check with, relative to `rootDir`, instead of the nearest tsconfig.json
  * @param {boolean} [options.shouldEnableTailwind=false] - Whether to enable Tailwind configuration
  * @param {boolean} [options.shouldEnableReact=true] - Whether to enable React configuration
+ * @param {boolean} [options.shouldEnableSolid=false] - Whether to enable Solid configuration, with SolidStart route naming and Solid's `for` on labels
  * @param {boolean} [options.shouldEnableCypress=false] - Whether to enable Cypress configuration
+ * @param {boolean} [options.shouldEnablePlaywright=false] - Whether to enable Playwright configuration
+ * @param {string[]} [options.playwrightFiles] - Globs of the Playwright tests; files under `e2e` and `.spec.js`/`.spec.ts` files anywhere when omitted
  * @param {boolean} [options.shouldEnableA11y=false] - Whether to enable A11y configuration
  * @param {boolean} [options.shouldEnableVitest=false] - Whether to enable Vitest configuration
+ * @param {boolean} [options.shouldEnableTestingLibrary] - Whether to lint React component tests with Testing Library and jest-dom rules; on when React and Vitest both are
  * @param {boolean} [options.shouldEnableGraphql=false] - Whether to enable GraphQL configuration
+ * @param {string | string[]} [options.graphqlSchema] - GraphQL schema SDL files, or an introspection JSON snapshot of a remote schema; read from graphql-config when neither it nor `graphqlDocuments` is set
+ * @param {string | string[]} [options.graphqlDocuments] - Files holding the GraphQL operations and fragments
  * @param {boolean} [options.shouldEnableStorybook=false] - Whether to enable Storybook configuration
+ * @param {boolean} [options.shouldEnableSecurity=false] - Whether to check for injection, unsafe regular expressions, unsanitized HTML and hardcoded secrets
+ * @param {boolean} [options.shouldEnableJson=false] - Whether to lint JSON files, with package.json and tsconfig keys in a fixed order
+ * @param {boolean} [options.shouldEnableYaml=false] - Whether to lint YAML files
+ * @param {boolean} [options.shouldEnableMarkdown=false] - Whether to lint the fenced code blocks of Markdown files, with relaxed rules
  * @param {boolean} [options.shouldEnableQuery=false] - Whether to enable Query configuration
  * @param {boolean} [options.shouldEnableRouter=false] - Whether to enable Router configuration
- * @param {'on' | 'off'} [options.importCycleCheckMode='off'] - Control when the heavy `import/no-cycle` rule runs
+ * @param {boolean} [options.shouldEnableStructuredLogging=false] - Whether to require structured, secret-free logger calls
+ * @param {string[]} [options.loggerNames] - Objects whose `info()`, `error()`, etc. are log calls; `log` and `logger` when omitted
+ * @param {boolean} [options.shouldEnableCliConsole=false] - Whether to allow `console` output to stdout/stderr, for CLI tools
+ * @param {boolean} [options.shouldEnableNode=false] - Whether to check Node.js APIs against package.json `engines.node`, and blocking or exiting calls
+ * @param {string[]} [options.nodeEntryPoints] - Globs of the files that may call `process.exit()`
+ * @param {string} [options.tailwindEntryPoint] - Tailwind v4 CSS entry point or v3 `tailwind.config.js`, detected when omitted
+ * @param {'on' | 'off'} [options.importCycleCheckMode='off'] - 'on' enforces the heavy `import/no-cycle` rule, 'off' disables it
+ * @param {import("./configuration/import.js").ImportCycleOptions} [options.importCycle] - How deep `import/no-cycle` looks and which files it checks
+ * @param {string} [options.rootDir=process.cwd()] - Project root whose tsconfig.json/jsconfig.json `paths` become import aliases, and the Tailwind entry point is detected in
+ * @param {import("./configuration/canonical.js").ImportAliases} [options.importAliases] - Extra import aliases, relative to `rootDir`, e.g. `{ "#/": "src" }`
+ * @param {import("./configuration/filename.js").NamingConventions} [options.namingConventions] - File and folder naming policy, merged over the defaults
+ * @param {import("./configuration/functionName.js").VerbDictionary} [options.verbDictionary] - Extra verbs and verb packs for `function-name/starts-with-verb`
+ * @param {import("./configuration/strictness.js").Strictness} [options.strictness='pedantic'] - Turns off the rules of the levels above it
+ * @param {boolean} [options.adoptionMode=false] - Whether rules that are not about correctness are downgraded to warnings
+ * @param {import("./configuration/overrides.js").RuleOverrides} [options.overrides={}] - Rule entries keyed by feature, e.g. `{ react: { "react/jsx-key": 0 } }`; applied to that feature's files after everything else
  * @returns {ESLintConfig[]} Array of ESLint configurations
+ * @throws {Error} When `strictness`, `typeCheckMode` or `importCycleCheckMode` is unknown, or `overrides` names an unknown or disabled feature, or a rule its plugins do not define, or the GraphQL schema is a URL
  */
 // eslint-disable-next-line complexity
 export function generateEslintConfigByFeatures({
+  adoptionMode = false,
+  graphqlDocuments,
+  graphqlSchema,
+  importAliases,
+  importCycle,
   importCycleCheckMode = "off",
+  loggerNames,
+  namingConventions,
+  nodeEntryPoints,
+  overrides = {},
+  playwrightFiles = defaultPlaywrightFiles,
+  rootDir = process.cwd(),
   shouldEnableA11y = false,
   shouldEnableBrowserGlobals = false,
+  shouldEnableCliConsole = false,
   shouldEnableCypress = false,
   shouldEnableGraphql = false,
+  shouldEnableJson = false,
+  shouldEnableMarkdown = false,
+  shouldEnableNode = false,
   shouldEnableNodeGlobals = false,
+  shouldEnablePlaywright = false,
   shouldEnableQuery = false,
   shouldEnableReact = false,
   shouldEnableRouter = false,
+  shouldEnableSecurity = false,
+  shouldEnableSolid = false,
   shouldEnableStorybook = false,
+  shouldEnableStructuredLogging = false,
+  shouldEnableTailwind = false,
+  shouldEnableTestingLibrary,
   shouldEnableTypescript = true,
   shouldEnableVitest = false,
+  shouldEnableYaml = false,
+  strictness = "pedantic",
+  tailwindEntryPoint,
+  tsconfigFiles,
+  typeCheckMode,
+  verbDictionary,
 }) {
+  const isTestingLibraryEnabled =
+    shouldEnableTestingLibrary ?? (shouldEnableReact && shouldEnableVitest);
+  // Each test file belongs to one runner: Playwright's globs win over Cypress's, and both over Vitest's
+  const playwrightTestFiles = shouldEnablePlaywright ? playwrightFiles : [];
+  // Cypress keeps its own directory when Vitest runs the component tests
+  const cypressTestFiles = isTestingLibraryEnabled
+    ? cypressDirectoryFiles
+    : cypressFiles;
+  const cypressOwnedFiles = shouldEnableCypress ? cypressTestFiles : [];
+
+  /** @type {import("./configuration/overrides.js").FeatureConfig[]} */
+  const baseFeatureConfigs = [
+    ["eslint", eslintConfig],
+    [
+      "typescript",
+      shouldEnableTypescript
+        ? getTypescriptConfig({ rootDir, tsconfigFiles, typeCheckMode })
+        : undefined,
+    ],
+    ["perfectionist", perfectionist.configs["recommended-alphabetical"]],
+    [
+      "cypress",
+      shouldEnableCypress
+        ? getCypressConfig({
+            files: cypressTestFiles,
+            ignores: playwrightTestFiles,
+          })
+        : undefined,
+    ],
+    [
+      "playwright",
+      shouldEnablePlaywright
+        ? getPlaywrightConfig({ files: playwrightTestFiles })
+        : undefined,
+    ],
+    [
+      "a11y",
+      shouldEnableA11y
+        ? getA11yConfig({
+            labelForProps: shouldEnableSolid ? ["for"] : undefined,
+          })
+        : undefined,
+    ],
+    [
+      "vitest",
+      shouldEnableVitest
+        ? getVitestConfig({
+            componentTestFiles: isTestingLibraryEnabled
+              ? componentTestFiles
+              : [],
+            ignores: [...cypressOwnedFiles, ...playwrightTestFiles],
+            typeCheckMode,
+          })
+        : undefined,
+    ],
+    [
+      "testingLibrary",
+      isTestingLibraryEnabled
+        ? getTestingLibraryConfig({
+            ignores: [...cypressOwnedFiles, ...playwrightTestFiles],
+          })
+        : undefined,
+    ],
+    [
+      "filename",
+      getFilenameConfig({
+        routeConvention: shouldEnableSolid ? "solidStart" : "tanstack",
+        ...namingConventions,
+      }),
+    ],
+    [
+      "functionName",
+      getFunctionNameConfig({
+        shouldSkipReactNames: shouldEnableReact || shouldEnableSolid,
+        ...verbDictionary,
+      }),
+    ],
+    ["codingStyle", codingStyleConfig],
+    ["promise", promiseConfig],
+    ["unicorn", unicornConfig],
+    ["canonical", getCanonicalConfig({ importAliases, rootDir })],
+    ["react", shouldEnableReact ? getReactConfig() : undefined],
+    [
+      "solid",
+      shouldEnableSolid
+        ? getSolidConfig({ shouldEnableTypescript })
+        : undefined,
+    ],
+    [
+      "import",
+      shouldEnableTypescript
+        ? importEslintTypescriptConfig
+        : importEslintJavascriptConfig,
+    ],
+    ["chaiFriendly", pluginChaiFriendly.configs.recommendedFlat],
+    [
+      "graphql",
+      shouldEnableGraphql
+        ? getGraphqlConfig({
+            documents: graphqlDocuments,
+            rootDir,
+            schema: graphqlSchema,
+          })
+        : undefined,
+    ],
+    ["storybook", shouldEnableStorybook ? getStorybookConfig() : undefined],
+    ["query", shouldEnableQuery ? getQueryConfig() : undefined],
+    ["router", shouldEnableRouter ? getRouterConfig() : undefined],
+    [
+      "tailwind",
+      shouldEnableTailwind
+        ? getTailwindConfig({ entryPoint: tailwindEntryPoint, rootDir })
+        : undefined,
+    ],
+    [
+      "structuredLogging",
+      shouldEnableStructuredLogging
+        ? getStructuredLoggingConfig({ loggerNames })
+        : undefined,
+    ],
+    ["cliConsole", shouldEnableCliConsole ? cliConsoleConfig : undefined],
+    [
+      "security",
+      shouldEnableSecurity
+        ? getSecurityConfig({
+            shouldCheckBrowserSinks: shouldEnableBrowserGlobals,
+            shouldCheckNodeSinks: shouldEnableNodeGlobals,
+          })
+        : undefined,
+    ],
+    [
+      "node",
+      shouldEnableNode
+        ? getNodeConfig({ entryPoints: nodeEntryPoints, rootDir })
+        : undefined,
+    ],
+    ["nodeGlobals", shouldEnableNodeGlobals ? nodeGlobals : undefined],
+    ["browserGlobals", shouldEnableBrowserGlobals ? browserGlobals : undefined],
+    ["json", shouldEnableJson ? getJsonConfig() : undefined],
+    ["yaml", shouldEnableYaml ? getYamlConfig() : undefined],
+    // Last, so the relaxed rules of code blocks win over the other features'
+    [
+      "markdown",
+      shouldEnableMarkdown
+        ? getMarkdownConfig({ shouldEnableTypescript })
+        : undefined,
+    ],
+  ];
+
+  const featureConfigs = applyStrictness(baseFeatureConfigs, {
+    adoptionMode,
+    strictness,
+  });
+
   return [
-    eslintConfig,
-    shouldEnableTypescript ? typescriptEslintConfig : undefined,
-    perfectionist.configs["recommended-alphabetical"],
-    shouldEnableCypress ? cypressConfig : undefined,
-    shouldEnableA11y ? a11yConfig : undefined,
-    shouldEnableVitest ? vitestConfig : undefined,
-    filenameConfig,
-    functionNameConfig,
-    promiseConfig,
-    unicornConfig,
-    canonicalConfig,
-    shouldEnableReact ? reactConfig : undefined,
-    shouldEnableTypescript
-      ? importEslintTypescriptConfig
-      : importEslintJavascriptConfig,
-    pluginChaiFriendly.configs.recommendedFlat,
-    shouldEnableGraphql ? graphqlConfig : undefined,
-    shouldEnableStorybook ? getStorybookConfig() : undefined,
-    shouldEnableQuery ? queryConfig : undefined,
-    shouldEnableRouter ? routerConfig : undefined,
-    shouldEnableNodeGlobals ? nodeGlobals : undefined,
-    shouldEnableBrowserGlobals ? browserGlobals : undefined,
-    importCycleCheckMode === "off"
-      ? { rules: { "import/no-cycle": "off" } }
-      : undefined,
-  ]
-    .filter((c) => c !== undefined)
-    .flat();
+    ...featureConfigs.flatMap(([featureName, config]) =>
+      nameConfigs(config ?? [], `uba/${featureName}`),
+    ),
+    ...nameConfigs(
+      getImportCycleConfigs({
+        importCycle,
+        importCycleCheckMode,
+        shouldEnableTypescript,
+      }),
+      "uba/importCycle",
+    ),
+    // Last, so an override wins over every feature's own settings
+    ...buildOverrideConfigs(overrides, featureConfigs),
+  ];
+}
+
+/**
+ * @typedef {Object} WorkspaceEslintConfigOptions
+ * @property {Record<string, EslintConfigOptions>} [packages={}] - Package directory globs mapped to the options of the packages they match, e.g. `{ "apps/web": { appType: "fullstack" } }`; a package matched by several globs takes the last
+ * @property {EslintConfigOptions} [sharedOptions={}] - Options every package starts from, e.g. `importCycleCheckMode`
+ * @property {string} [rootDir=process.cwd()] - Workspace root holding pnpm-workspace.yaml or the package.json with `workspaces`
+ */
+
+/**
+ * Generates ESLint configuration for a monorepo, with each package's config objects scoped to its directory.
+ * Packages listed in pnpm-workspace.yaml or package.json `workspaces` that no `packages` glob matches use `appType: 'auto'`.
+ * @param {WorkspaceEslintConfigOptions} options - Configuration options
+ * @returns {import('eslint').Linter.Config[]} Array of ESLint configurations
+ * @throws {Error} When no workspace package is found
+ */
+export function generateWorkspaceEslintConfig({
+  packages = {},
+  rootDir = process.cwd(),
+  sharedOptions = {},
+}) {
+  const workspacePackages = findWorkspacePackages({
+    configuredGlobs: Object.keys(packages),
+    rootDir,
+  });
+
+  if (workspacePackages.length === 0) {
+    throw new Error(
+      `No workspace packages found in ${rootDir}. Add pnpm-workspace.yaml or package.json "workspaces", or pass package globs in \`packages\`.`,
+    );
+  }
+
+  return workspacePackages.flatMap(({ directory, matchedGlob }) => {
+    const packageDirectory = resolve(rootDir, directory);
+    const options = {
+      appType: "auto",
+      ...sharedOptions,
+      ...(matchedGlob === undefined ? {} : packages[matchedGlob]),
+    };
+
+    return restrictConfigsToDirectory(
+      [
+        ...generateEslintConfig({
+          ...options,
+          rootDir: packageDirectory,
+          tailwindEntryPoint:
+            options.tailwindEntryPoint === undefined
+              ? findTailwindEntryPoint(packageDirectory)
+              : resolve(packageDirectory, options.tailwindEntryPoint),
+        }),
+        ...getPackageResolverConfigs(packageDirectory),
+      ],
+      directory,
+    );
+  });
 }
 
-// Choose mode here. Change to 'always' to enforce the rule everywhere.
+// Choose mode here. Change to "on" to enforce the rule everywhere.
 const importCycleCheckMode = process.env.CI ? "on" : "off";
 
 /** @type {import("eslint").Linter.Config[]} */
-const baseConfig = generateEslintConfig({
-  appType: "fullstack",
-  importCycleCheckMode,
-  shouldEnableTypescript: true,
-});
+const baseConfig = createLazyConfigArray(() =>
+  generateEslintConfig({
+    appType: "fullstack",
+    importCycleCheckMode,
+    shouldEnableTypescript: true,
+  }),
+);
+
+// This package's own lint, which skips the fixtures: they break the rules on purpose, for tests/rules.test.js to check the reports
+/** @type {import("eslint").Linter.Config[]} */
+const repositoryConfig = createLazyConfigArray(() => [
+  ...baseConfig,
+  { ignores: ["tests/fixtures/**"], name: "uba/fixtures" },
+]);
 
 // Export the final configuration.
-// The heavy `import/no-cycle` rule is enabled only when `importCycleCheckMode` is set to "on" (i.e. in CI).
-export default baseConfig;
+// The heavy `import/no-cycle` rule is enabled only when `importCycleCheckMode` is "on", i.e. in CI.
+export { baseConfig as ubaEslintConfig };
+export default repositoryConfig;
@@ -1,5 +1,15 @@
-export { default as ubaEslintConfig } from "./eslint.config.js";
-export { generateEslintConfig } from "./eslint.config.js";
+export {
+  detectFeatures,
+  formatFeatureDetections,
+} from "./configuration/features.js";
+export {
+  checkEslintConfig,
+  explainEslintConfig,
+  generateEslintConfig,
+  generateEslintConfigByFeatures,
+  generateWorkspaceEslintConfig,
+  ubaEslintConfig,
+} from "./eslint.config.js";
 export {
   generatePrettierConfig,
   default as ubaPrettierConfig,
@@ -0,0 +1,43 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+/**
+ * @param {Node} node - Function node
+ * @returns {string} Quoted name for report messages, or `Function` when anonymous
+ */
+function getFunctionName(node) {
+  if (node.id) {
+    return `'${node.id.name}'`;
+  }
+
+  const { parent } = node;
+
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") {
+    return `'${parent.id.name}'`;
+  }
+
+  if (
+    (parent.type === "Property" || parent.type === "MethodDefinition") &&
+    parent.key.type === "Identifier"
+  ) {
+    return `'${parent.key.name}'`;
+  }
+
+  return "Function";
+}
+
+/**
+ * @param {Node} node - Function node
+ * @returns {boolean} Whether the function is passed as an argument, so the callee decides its signature
+ */
+function isCallbackArgument(node) {
+  const { parent } = node;
+
+  return (
+    (parent.type === "CallExpression" || parent.type === "NewExpression") &&
+    parent.arguments.includes(node)
+  );
+}
+
+export { getFunctionName, isCallbackArgument };
@@ -0,0 +1,43 @@
+import { createRequire } from "node:module";
+
+import errorLogRequiresError from "./rules/errorLogRequiresError.js";
+import indexOnlyReexports from "./rules/indexOnlyReexports.js";
+import noHardcodedSecrets from "./rules/noHardcodedSecrets.js";
+import noNonLiteralCommand from "./rules/noNonLiteralCommand.js";
+import noNonLiteralFsPath from "./rules/noNonLiteralFsPath.js";
+import noSensitiveLogFields from "./rules/noSensitiveLogFields.js";
+import noUnsafeRegex from "./rules/noUnsafeRegex.js";
+import noUnsanitizedHtml from "./rules/noUnsanitizedHtml.js";
+import preferImmutableReturn from "./rules/preferImmutableReturn.js";
+import preferOptionsLast from "./rules/preferOptionsLast.js";
+import preferOptionsObject from "./rules/preferOptionsObject.js";
+import requireUnitSuffix from "./rules/requireUnitSuffix.js";
+import structuredLogMessage from "./rules/structuredLogMessage.js";
+
+const require = createRequire(import.meta.url);
+const { version } = require("../package.json");
+
+/**
+ * Rules for the conventions in docs/CODING_STYLE.md that no third-party plugin covers, and security checks that name the CWE of each finding
+ * @type {import("eslint").ESLint.Plugin}
+ */
+const ubaPlugin = {
+  meta: { name: "uba", version },
+  rules: {
+    "error-log-requires-error": errorLogRequiresError,
+    "index-only-reexports": indexOnlyReexports,
+    "no-hardcoded-secrets": noHardcodedSecrets,
+    "no-non-literal-command": noNonLiteralCommand,
+    "no-non-literal-fs-path": noNonLiteralFsPath,
+    "no-sensitive-log-fields": noSensitiveLogFields,
+    "no-unsafe-regex": noUnsafeRegex,
+    "no-unsanitized-html": noUnsanitizedHtml,
+    "prefer-immutable-return": preferImmutableReturn,
+    "prefer-options-last": preferOptionsLast,
+    "prefer-options-object": preferOptionsObject,
+    "require-unit-suffix": requireUnitSuffix,
+    "structured-log-message": structuredLogMessage,
+  },
+};
+
+export default ubaPlugin;
@@ -0,0 +1,37 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const defaultLoggerNames = ["log", "logger"];
+
+const logLevels = new Set(["debug", "error", "fatal", "info", "trace", "warn"]);
+
+/**
+ * @param {import("eslint").Rule.RuleContext} context
+ * @returns {string[]} Logger identifiers from the shared `settings.uba.loggerNames`
+ */
+function getLoggerNames(context) {
+  return context.settings.uba?.loggerNames ?? defaultLoggerNames;
+}
+
+/**
+ * @param {Node} node - Call expression
+ * @param {string[]} loggerNames
+ * @returns {string | undefined} The level of a call like `logger.info()` or `this.logger.info()`, if it is one
+ */
+function getLogLevel({ callee }, loggerNames) {
+  const { computed, object, property, type } = callee;
+  const loggerName =
+    object?.type === "MemberExpression" && !object.computed
+      ? object.property.name
+      : object?.name;
+
+  return type === "MemberExpression" &&
+    !computed &&
+    logLevels.has(property.name) &&
+    loggerNames.includes(loggerName)
+    ? property.name
+    : undefined;
+}
+
+export { getLoggerNames, getLogLevel };
@@ -0,0 +1,77 @@
+import { getLoggerNames, getLogLevel } from "../loggerCalls.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const errorLevels = new Set(["error", "fatal"]);
+
+const errorNamePattern = /^(?:e|err|error)$|Error$/iu;
+
+/**
+ * @param {Node} node
+ * @returns {boolean} Whether the argument is, or carries, an error
+ */
+function isErrorArgument(node) {
+  switch (node.type) {
+    case "Identifier": {
+      return errorNamePattern.test(node.name);
+    }
+    case "NewExpression": {
+      return (
+        node.callee.type === "Identifier" && node.callee.name.endsWith("Error")
+      );
+    }
+    case "ObjectExpression": {
+      return node.properties.some(
+        (property) =>
+          property.type === "Property" &&
+          property.key.type === "Identifier" &&
+          (property.key.name === "err" || property.key.name === "error"),
+      );
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const errorLogRequiresError = {
+  create(context) {
+    const { sourceCode } = context;
+    const loggerNames = getLoggerNames(context);
+
+    return {
+      CallExpression(node) {
+        const level = getLogLevel(node, loggerNames);
+
+        if (
+          !errorLevels.has(level) ||
+          node.arguments.some((argument) => isErrorArgument(argument)) ||
+          sourceCode
+            .getAncestors(node)
+            .some((ancestor) => ancestor.type === "CatchClause")
+        ) {
+          return;
+        }
+
+        context.report({ data: { level }, messageId: "missingError", node });
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Require error-level logs to come from a catch block or carry the error, so business outcomes are logged at info or debug",
+    },
+    messages: {
+      missingError:
+        "'{{level}}' is for failures of the system: log it from a catch block or pass the error. Log business outcomes such as a failed login at info or debug.",
+    },
+    schema: [],
+    type: "suggestion",
+  },
+};
+
+export default errorLogRequiresError;
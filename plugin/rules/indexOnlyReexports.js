@@ -0,0 +1,60 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+/**
+ * @param {Node} statement - Top-level statement of an index file
+ * @returns {boolean} Whether the statement only imports or re-exports bindings
+ */
+function isReexport(statement) {
+  switch (statement.type) {
+    case "ExportAllDeclaration":
+    case "ImportDeclaration": {
+      return true;
+    }
+    case "ExportDefaultDeclaration": {
+      return statement.declaration.type === "Identifier";
+    }
+    case "ExportNamedDeclaration": {
+      return statement.declaration === null;
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const indexOnlyReexports = {
+  create(context) {
+    const [fileName] = context.filename.split(/[/\\]/u).at(-1).split(".");
+
+    if (fileName !== "index") {
+      return {};
+    }
+
+    return {
+      Program(node) {
+        for (const statement of node.body) {
+          if (!isReexport(statement)) {
+            context.report({ messageId: "notReexport", node: statement });
+          }
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Allow index files only as barrels that re-export named modules",
+    },
+    messages: {
+      notReexport:
+        "Index files may only re-export. Move this code into a file named after what it does and re-export it here.",
+    },
+    schema: [],
+    type: "suggestion",
+  },
+};
+
+export default indexOnlyReexports;
@@ -0,0 +1,87 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+/** @type {[secretKind: string, pattern: RegExp][]} */
+const defaultSecretPatterns = [
+  ["an AWS access key", /\b(?:AKIA|ASIA)[\dA-Z]{16}\b/u],
+  ["a private key", /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/u],
+  ["a GitHub token", /\bgh[opsu]_[\dA-Za-z]{36,}\b|\bgithub_pat_\w{22,}/u],
+  ["a Slack token", /\bxox[abeoprs]-[\dA-Za-z-]{10,}/u],
+  ["a Stripe live key", /\b[rs]k_live_[\dA-Za-z]{16,}/u],
+  ["a Google API key", /\bAIza[\w-]{35}\b/u],
+  ["a JSON Web Token", /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/u],
+  [
+    "a connection string with a password",
+    /\b[a-z][\d+.a-z-]*:\/\/[^\s/:@]+:[^\s/:@]+@/iu,
+  ],
+];
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noHardcodedSecrets = {
+  create(context) {
+    const [{ patterns = [] } = {}] = context.options;
+    const secretPatterns = [
+      ...defaultSecretPatterns,
+      ...patterns.map((pattern) => [
+        `a secret matching /${pattern}/`,
+        new RegExp(pattern, "u"),
+      ]),
+    ];
+
+    /**
+     * @param {Node} node
+     * @param {string} value
+     */
+    function checkValue(node, value) {
+      const [secretKind] =
+        secretPatterns.find(([, pattern]) => pattern.test(value)) ?? [];
+
+      if (secretKind !== undefined) {
+        context.report({
+          data: { secretKind },
+          messageId: "hardcodedSecret",
+          node,
+        });
+      }
+    }
+
+    return {
+      Literal(node) {
+        if (typeof node.value === "string") {
+          checkValue(node, node.value);
+        }
+      },
+      TemplateElement(node) {
+        checkValue(node, node.value.cooked ?? node.value.raw);
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow strings that look like credentials: cloud and API keys, tokens, private keys and connection strings with a password",
+    },
+    messages: {
+      hardcodedSecret:
+        "This string looks like {{secretKind}}. Credentials in the source end up in the repository and the bundle (CWE-798): load it from the environment or a secret store.",
+    },
+    schema: [
+      {
+        additionalProperties: false,
+        properties: {
+          patterns: {
+            description:
+              "Regular expressions, without flags, for secrets of your own services",
+            items: { type: "string" },
+            type: "array",
+          },
+        },
+        type: "object",
+      },
+    ],
+    type: "problem",
+  },
+};
+
+export default noHardcodedSecrets;
@@ -0,0 +1,69 @@
+import {
+  findModuleBindings,
+  getModuleFunctionName,
+  isStaticValue,
+  pathModuleNames,
+} from "../sinkCalls.js";
+
+const childProcessModuleNames = new Set([
+  "child_process",
+  "node:child_process",
+]);
+
+// Functions whose first argument is the command to run; `exec` and `execSync` run it through a shell
+const commandFunctionNames = new Set([
+  "exec",
+  "execFile",
+  "execFileSync",
+  "execSync",
+  "fork",
+  "spawn",
+  "spawnSync",
+]);
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noNonLiteralCommand = {
+  create(context) {
+    const bindings = findModuleBindings(
+      context.sourceCode.ast,
+      childProcessModuleNames,
+    );
+    const pathBindings = findModuleBindings(
+      context.sourceCode.ast,
+      pathModuleNames,
+    );
+
+    return {
+      CallExpression(node) {
+        const functionName = getModuleFunctionName(node, bindings);
+        const [command] = node.arguments;
+
+        if (
+          commandFunctionNames.has(functionName) &&
+          command !== undefined &&
+          !isStaticValue(command, pathBindings, context.sourceCode)
+        ) {
+          context.report({
+            data: { functionName },
+            messageId: "nonLiteralCommand",
+            node: command,
+          });
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow `child_process` commands built at runtime, which input can use to run commands of its own",
+    },
+    messages: {
+      nonLiteralCommand:
+        "'{{functionName}}' runs a command built at runtime, which may let input inject commands of its own (CWE-78). Run a literal command with `execFile()` or `spawn()`, and pass the input as arguments in an array.",
+    },
+    schema: [],
+    type: "problem",
+  },
+};
+
+export default noNonLiteralCommand;
@@ -0,0 +1,117 @@
+import {
+  findModuleBindings,
+  getModuleFunctionName,
+  isStaticValue,
+  pathModuleNames,
+} from "../sinkCalls.js";
+
+const fsModuleNames = new Set([
+  "fs",
+  "fs/promises",
+  "node:fs",
+  "node:fs/promises",
+]);
+
+// Number of leading path arguments of each `fs` function, e.g. `copyFile(source, destination)`
+const pathArgumentCounts = new Map([
+  ...[
+    "access",
+    "accessSync",
+    "appendFile",
+    "appendFileSync",
+    "chmod",
+    "chmodSync",
+    "chown",
+    "chownSync",
+    "createReadStream",
+    "createWriteStream",
+    "exists",
+    "existsSync",
+    "lstat",
+    "lstatSync",
+    "mkdir",
+    "mkdirSync",
+    "open",
+    "openSync",
+    "opendir",
+    "opendirSync",
+    "readFile",
+    "readFileSync",
+    "readdir",
+    "readdirSync",
+    "readlink",
+    "readlinkSync",
+    "realpath",
+    "realpathSync",
+    "rm",
+    "rmSync",
+    "rmdir",
+    "rmdirSync",
+    "stat",
+    "statSync",
+    "truncate",
+    "truncateSync",
+    "unlink",
+    "unlinkSync",
+    "watch",
+    "writeFile",
+    "writeFileSync",
+  ].map((functionName) => [functionName, 1]),
+  ...[
+    "copyFile",
+    "copyFileSync",
+    "cp",
+    "cpSync",
+    "link",
+    "linkSync",
+    "rename",
+    "renameSync",
+    "symlink",
+    "symlinkSync",
+  ].map((functionName) => [functionName, 2]),
+]);
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noNonLiteralFsPath = {
+  create(context) {
+    const bindings = findModuleBindings(context.sourceCode.ast, fsModuleNames);
+    const pathBindings = findModuleBindings(
+      context.sourceCode.ast,
+      pathModuleNames,
+    );
+
+    return {
+      CallExpression(node) {
+        const functionName = getModuleFunctionName(node, bindings);
+        const pathArguments = node.arguments.slice(
+          0,
+          pathArgumentCounts.get(functionName) ?? 0,
+        );
+
+        for (const pathArgument of pathArguments) {
+          if (!isStaticValue(pathArgument, pathBindings, context.sourceCode)) {
+            context.report({
+              data: { functionName },
+              messageId: "nonLiteralPath",
+              node: pathArgument,
+            });
+          }
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow `fs` paths built at runtime, which input can point outside the directory they are meant for",
+    },
+    messages: {
+      nonLiteralPath:
+        "'{{functionName}}' gets a path built at runtime, which may let input reach files outside the directory it is meant for (CWE-22). Resolve it against a base directory and check the result stays inside it.",
+    },
+    schema: [],
+    type: "problem",
+  },
+};
+
+export default noNonLiteralFsPath;
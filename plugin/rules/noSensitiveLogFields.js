@@ -0,0 +1,89 @@
+import { getLoggerNames, getLogLevel } from "../loggerCalls.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const defaultSensitiveKeyPattern =
+  "api_?key|authorization|cookie|credit_?card|passw(?:or)?d|secret|ssn|token";
+
+/**
+ * @param {Node} node - Object expression
+ * @returns {Node[]} Its properties and those of nested object literals
+ */
+function getNestedProperties(node) {
+  return node.properties
+    .filter(({ type }) => type === "Property")
+    .flatMap((property) => [
+      property,
+      ...(property.value.type === "ObjectExpression"
+        ? getNestedProperties(property.value)
+        : []),
+    ]);
+}
+
+/**
+ * @param {Node} property
+ * @returns {string | undefined}
+ */
+function getPropertyKeyName({ computed, key }) {
+  if (key.type === "Identifier" && !computed) {
+    return key.name;
+  }
+
+  return key.type === "Literal" ? String(key.value) : undefined;
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noSensitiveLogFields = {
+  create(context) {
+    const [{ sensitiveKeyPattern = defaultSensitiveKeyPattern } = {}] =
+      context.options;
+    const sensitiveKeyRegExp = new RegExp(sensitiveKeyPattern, "iu");
+    const loggerNames = getLoggerNames(context);
+
+    return {
+      CallExpression(node) {
+        if (getLogLevel(node, loggerNames) === undefined) {
+          return;
+        }
+
+        const properties = node.arguments
+          .filter(({ type }) => type === "ObjectExpression")
+          .flatMap((argument) => getNestedProperties(argument));
+
+        for (const property of properties) {
+          const keyName = getPropertyKeyName(property);
+
+          if (keyName !== undefined && sensitiveKeyRegExp.test(keyName)) {
+            context.report({
+              data: { keyName },
+              messageId: "sensitiveField",
+              node: property,
+            });
+          }
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow passwords, tokens and other secrets in the fields passed to a logger",
+    },
+    messages: {
+      sensitiveField:
+        "'{{keyName}}' may hold a secret or personal data. Leave it out of the log, or configure redaction in the logger and disable this line.",
+    },
+    schema: [
+      {
+        additionalProperties: false,
+        properties: { sensitiveKeyPattern: { type: "string" } },
+        type: "object",
+      },
+    ],
+    type: "problem",
+  },
+};
+
+export default noSensitiveLogFields;
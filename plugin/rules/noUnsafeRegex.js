@@ -0,0 +1,199 @@
+import { RegExpParser, visitRegExpAST } from "@eslint-community/regexpp";
+
+import {
+  findModuleBindings,
+  getCalledName,
+  isStaticValue,
+  pathModuleNames,
+} from "../sinkCalls.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ * @typedef {import("@eslint-community/regexpp").AST.Node} RegExpNode
+ */
+
+const escapeFunctionNamePattern = /^escape/iu;
+
+/**
+ * Finds regular expressions that can take exponential time: an unbounded repetition of something that is itself an unbounded repetition, e.g. `(a+)+` or `(\w+\s?)*`.
+ * A fixed part between the inner repetitions, as in `(?:-\d+)*`, leaves one way to match and is not reported.
+ * @param {string} pattern
+ * @param {string} flags
+ * @returns {boolean} Whether the pattern has such a repetition; an invalid pattern is `no-invalid-regexp`'s to report
+ */
+function hasNestedUnboundedQuantifiers(pattern, flags) {
+  let isNested = false;
+
+  try {
+    const parsedPattern = new RegExpParser().parsePattern(
+      pattern,
+      0,
+      pattern.length,
+      { unicode: flags.includes("u"), unicodeSets: flags.includes("v") },
+    );
+
+    visitRegExpAST(parsedPattern, {
+      onQuantifierEnter({ element, max }) {
+        isNested ||=
+          max === Number.POSITIVE_INFINITY &&
+          isRepetitionOnly(element) &&
+          hasUnboundedQuantifier(element);
+      },
+    });
+  } catch {
+    return false;
+  }
+
+  return isNested;
+}
+
+/**
+ * @param {RegExpNode} node
+ * @returns {boolean} Whether the node repeats something an unbounded number of times, or contains something that does
+ */
+function hasUnboundedQuantifier(node) {
+  switch (node.type) {
+    case "Alternative": {
+      return node.elements.some((element) => hasUnboundedQuantifier(element));
+    }
+    case "Assertion":
+    case "CapturingGroup":
+    case "Group":
+    case "Pattern": {
+      return (node.alternatives ?? []).some((alternative) =>
+        hasUnboundedQuantifier(alternative),
+      );
+    }
+    case "Quantifier": {
+      return (
+        node.max === Number.POSITIVE_INFINITY ||
+        hasUnboundedQuantifier(node.element)
+      );
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/**
+ * @param {Node} node
+ * @returns {boolean} Whether the value comes out of a function such as `escapeRegExp()`, so it matches itself only
+ */
+function isEscaped(node) {
+  return (
+    node.type === "CallExpression" &&
+    escapeFunctionNamePattern.test(getCalledName(node) ?? "")
+  );
+}
+
+/**
+ * @param {RegExpNode} node
+ * @returns {boolean} Whether the node is nothing but repetitions, e.g. `\w+\s?`, so consecutive matches have no fixed part to tell them apart
+ */
+function isRepetitionOnly(node) {
+  switch (node.type) {
+    case "CapturingGroup":
+    case "Group": {
+      return node.alternatives.some(
+        (alternative) =>
+          alternative.elements.length > 0 &&
+          alternative.elements.every((element) => isRepetitionOnly(element)),
+      );
+    }
+    case "Quantifier": {
+      return true;
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/**
+ * @param {Node} node
+ * @returns {string | undefined} The value of a string literal, or of a template literal without expressions
+ */
+function readStringValue(node) {
+  if (node?.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+
+  return node?.type === "TemplateLiteral" && node.expressions.length === 0
+    ? node.quasis[0].value.cooked
+    : undefined;
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noUnsafeRegex = {
+  create(context) {
+    const pathBindings = findModuleBindings(
+      context.sourceCode.ast,
+      pathModuleNames,
+    );
+
+    /**
+     * @param {Node} node - `new RegExp()` or `RegExp()`
+     */
+    function checkRegExpCall(node) {
+      if (getCalledName(node) !== "RegExp" || node.arguments.length === 0) {
+        return;
+      }
+
+      const [patternArgument, flagsArgument] = node.arguments;
+      const pattern = readStringValue(patternArgument);
+
+      if (pattern === undefined) {
+        if (
+          !isStaticValue(patternArgument, pathBindings, context.sourceCode) &&
+          !isEscaped(patternArgument)
+        ) {
+          context.report({
+            messageId: "nonLiteralPattern",
+            node: patternArgument,
+          });
+        }
+
+        return;
+      }
+
+      if (
+        hasNestedUnboundedQuantifiers(
+          pattern,
+          readStringValue(flagsArgument) ?? "",
+        )
+      ) {
+        context.report({ messageId: "nestedQuantifiers", node });
+      }
+    }
+
+    return {
+      CallExpression: checkRegExpCall,
+      Literal(node) {
+        if (
+          node.regex &&
+          hasNestedUnboundedQuantifiers(node.regex.pattern, node.regex.flags)
+        ) {
+          context.report({ messageId: "nestedQuantifiers", node });
+        }
+      },
+      NewExpression: checkRegExpCall,
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow regular expressions that can take exponential time on crafted input",
+    },
+    messages: {
+      nestedQuantifiers:
+        "This regular expression repeats a repetition, e.g. `(a+)+`, which can backtrack for exponential time on crafted input (CWE-1333). Rewrite it so each character can only be matched one way.",
+      nonLiteralPattern:
+        "This regular expression is built at runtime, which lets input make it backtrack for exponential time (CWE-1333). Escape the input first, or match it with string methods such as `includes()`.",
+    },
+    schema: [],
+    type: "problem",
+  },
+};
+
+export default noUnsafeRegex;
@@ -0,0 +1,112 @@
+import {
+  findModuleBindings,
+  getCalledName,
+  isStaticValue,
+  pathModuleNames,
+} from "../sinkCalls.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const htmlPropertyNames = new Set(["innerHTML", "outerHTML"]);
+
+// Methods that parse one of their arguments as HTML, mapped to its position
+const htmlArgumentIndexes = new Map([
+  ["createContextualFragment", 0],
+  ["insertAdjacentHTML", 1],
+  ["setHTMLUnsafe", 0],
+]);
+
+const documentWriteNames = new Set(["write", "writeln"]);
+
+const sanitizerNamePattern = /^(?:escape|sanitize)/iu;
+
+/**
+ * @param {Node} node - Call expression
+ * @returns {number} Position of the argument the call parses as HTML, or -1 if it is not such a call
+ */
+function findHtmlArgumentIndex({ callee }) {
+  const { computed, object, property, type } = callee;
+
+  if (type !== "MemberExpression" || computed) {
+    return -1;
+  }
+
+  return documentWriteNames.has(property.name) &&
+    object.type === "Identifier" &&
+    object.name === "document"
+    ? 0
+    : (htmlArgumentIndexes.get(property.name) ?? -1);
+}
+
+/**
+ * @param {Node} node
+ * @param {import("../sinkCalls.js").ModuleBindings} pathBindings
+ * @param {import("eslint").SourceCode} sourceCode
+ * @returns {boolean} Whether the HTML is fixed in the source, or comes out of a sanitizer such as `DOMPurify.sanitize()`
+ */
+function isSafeHtml(node, pathBindings, sourceCode) {
+  return (
+    isStaticValue(node, pathBindings, sourceCode) ||
+    (node.type === "CallExpression" &&
+      sanitizerNamePattern.test(getCalledName(node) ?? ""))
+  );
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const noUnsanitizedHtml = {
+  create(context) {
+    const pathBindings = findModuleBindings(
+      context.sourceCode.ast,
+      pathModuleNames,
+    );
+
+    return {
+      AssignmentExpression(node) {
+        const { left, right } = node;
+
+        if (
+          left.type === "MemberExpression" &&
+          !left.computed &&
+          htmlPropertyNames.has(left.property.name) &&
+          !isSafeHtml(right, pathBindings, context.sourceCode)
+        ) {
+          context.report({
+            data: { sinkName: left.property.name },
+            messageId: "unsanitizedHtml",
+            node: right,
+          });
+        }
+      },
+      CallExpression(node) {
+        const htmlArgument = node.arguments[findHtmlArgumentIndex(node)];
+
+        if (
+          htmlArgument !== undefined &&
+          !isSafeHtml(htmlArgument, pathBindings, context.sourceCode)
+        ) {
+          context.report({
+            data: { sinkName: node.callee.property.name },
+            messageId: "unsanitizedHtml",
+            node: htmlArgument,
+          });
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow HTML built at runtime in `innerHTML`, `insertAdjacentHTML()` and other sinks that run the scripts it contains",
+    },
+    messages: {
+      unsanitizedHtml:
+        "'{{sinkName}}' parses a value built at runtime as HTML, which may run scripts injected into it (CWE-79). Set `textContent` instead, or pass the value through a sanitizer such as `DOMPurify.sanitize()`.",
+    },
+    schema: [],
+    type: "problem",
+  },
+};
+
+export default noUnsanitizedHtml;
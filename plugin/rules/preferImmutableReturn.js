@@ -0,0 +1,172 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ * @typedef {import("eslint").Scope.Variable} Variable
+ */
+
+// Array methods that sort or splice in place, mapped to their copying equivalents
+const copyingMethodByMutatingMethod = {
+  reverse: "toReversed",
+  sort: "toSorted",
+  splice: "toSpliced",
+};
+
+const mutatingMethods = new Set([
+  "add",
+  "clear",
+  "copyWithin",
+  "delete",
+  "fill",
+  "pop",
+  "push",
+  "reverse",
+  "set",
+  "shift",
+  "sort",
+  "splice",
+  "unshift",
+]);
+
+/**
+ * @param {Node} node
+ * @returns {Node} The identifier or expression a member chain starts from, e.g. `list` for `list.items[0]`
+ */
+function getRootObject(node) {
+  return node.type === "MemberExpression" ? getRootObject(node.object) : node;
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const preferImmutableReturn = {
+  create(context) {
+    const { sourceCode } = context;
+    /** @type {Set<Variable>} */
+    const mutatedParameters = new Set();
+
+    /**
+     * @param {Node} node
+     * @returns {Variable | undefined} The parameter the identifier refers to, if it is one
+     */
+    function findParameter(node) {
+      const variable =
+        node.type === "Identifier"
+          ? sourceCode
+              .getScope(node)
+              .references.find(({ identifier }) => identifier === node)
+              ?.resolved
+          : undefined;
+
+      return variable?.defs.some(({ type }) => type === "Parameter")
+        ? variable
+        : undefined;
+    }
+
+    /**
+     * @param {Node} node - Member expression or identifier being changed
+     */
+    function recordMutation(node) {
+      const parameter = findParameter(getRootObject(node));
+
+      if (parameter) {
+        mutatedParameters.add(parameter);
+      }
+    }
+
+    return {
+      AssignmentExpression(node) {
+        if (node.left.type === "MemberExpression") {
+          recordMutation(node.left);
+        }
+      },
+      CallExpression(node) {
+        const { callee } = node;
+
+        if (
+          callee.type === "MemberExpression" &&
+          !callee.computed &&
+          mutatingMethods.has(callee.property.name)
+        ) {
+          recordMutation(callee.object);
+        } else if (
+          sourceCode.getText(callee) === "Object.assign" &&
+          node.arguments.length > 0
+        ) {
+          recordMutation(node.arguments[0]);
+        }
+      },
+      ReturnStatement(node) {
+        const { argument } = node;
+
+        if (
+          argument?.type === "CallExpression" &&
+          argument.callee.type === "MemberExpression" &&
+          !argument.callee.computed &&
+          Object.hasOwn(
+            copyingMethodByMutatingMethod,
+            argument.callee.property.name,
+          ) &&
+          findParameter(getRootObject(argument.callee.object))
+        ) {
+          const mutatingMethod = argument.callee.property.name;
+          const copyingMethod = copyingMethodByMutatingMethod[mutatingMethod];
+
+          context.report({
+            data: { copyingMethod, mutatingMethod },
+            messageId: "mutatingMethodReturned",
+            node: argument,
+            suggest: [
+              {
+                data: { copyingMethod },
+                fix: (fixer) =>
+                  fixer.replaceText(argument.callee.property, copyingMethod),
+                messageId: "useCopyingMethod",
+              },
+            ],
+          });
+
+          return;
+        }
+
+        const parameter = argument ? findParameter(argument) : undefined;
+
+        if (parameter && mutatedParameters.has(parameter)) {
+          context.report({
+            data: { name: parameter.name },
+            messageId: "mutatedParamReturned",
+            node: argument,
+          });
+        }
+      },
+      UnaryExpression(node) {
+        if (
+          node.operator === "delete" &&
+          node.argument.type === "MemberExpression"
+        ) {
+          recordMutation(node.argument);
+        }
+      },
+      UpdateExpression(node) {
+        if (node.argument.type === "MemberExpression") {
+          recordMutation(node.argument);
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Disallow returning a parameter after changing it in place; return a new value instead",
+    },
+    hasSuggestions: true,
+    messages: {
+      mutatedParamReturned:
+        "'{{name}}' is changed in place and then returned. Return a new value instead of mutating the caller's data.",
+      mutatingMethodReturned:
+        "'{{mutatingMethod}}' changes the caller's array in place. Return '{{copyingMethod}}' instead.",
+      useCopyingMethod:
+        "Use '{{copyingMethod}}' (leaves the original untouched).",
+    },
+    schema: [],
+    type: "suggestion",
+  },
+};
+
+export default preferImmutableReturn;
@@ -0,0 +1,78 @@
+import { isCallbackArgument } from "../functionNodes.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const defaultOptionsNamePattern = "^(?:config|options|settings)$|Options$";
+
+/**
+ * @param {Node} parameter
+ * @returns {string | undefined}
+ */
+function getParameterName(parameter) {
+  const identifier =
+    parameter.type === "AssignmentPattern" ? parameter.left : parameter;
+
+  return identifier.type === "Identifier" ? identifier.name : undefined;
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const preferOptionsLast = {
+  create(context) {
+    const [{ optionsNamePattern = defaultOptionsNamePattern } = {}] =
+      context.options;
+    const optionsNameRegExp = new RegExp(optionsNamePattern, "u");
+
+    /**
+     * @param {Node} node
+     */
+    function checkFunction(node) {
+      if (isCallbackArgument(node)) {
+        return;
+      }
+
+      const lastIndex = node.params.findLastIndex(
+        (parameter) => parameter.type !== "RestElement",
+      );
+
+      for (const parameter of node.params.slice(0, lastIndex)) {
+        const name = getParameterName(parameter);
+
+        if (name !== undefined && optionsNameRegExp.test(name)) {
+          context.report({
+            data: { name },
+            messageId: "optionsNotLast",
+            node: parameter,
+          });
+        }
+      }
+    }
+
+    return {
+      ArrowFunctionExpression: checkFunction,
+      FunctionDeclaration: checkFunction,
+      FunctionExpression: checkFunction,
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Require data-first signatures: the data a function works on comes first, its options last",
+    },
+    messages: {
+      optionsNotLast:
+        "Move '{{name}}' to the end of the parameter list: take the data first and options last.",
+    },
+    schema: [
+      {
+        additionalProperties: false,
+        properties: { optionsNamePattern: { type: "string" } },
+        type: "object",
+      },
+    ],
+    type: "suggestion",
+  },
+};
+
+export default preferOptionsLast;
@@ -0,0 +1,96 @@
+import { getFunctionName, isCallbackArgument } from "../functionNodes.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+const defaultMaxParameters = 3;
+
+/**
+ * @param {Node[]} params
+ * @returns {boolean} Whether every parameter can move into a destructuring pattern as written
+ */
+function canDestructureParameters(params) {
+  return params.every((parameter) => {
+    const identifier =
+      parameter.type === "AssignmentPattern" ? parameter.left : parameter;
+
+    // A type annotation inside an object pattern would read as a rename
+    return identifier.type === "Identifier" && !identifier.typeAnnotation;
+  });
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const preferOptionsObject = {
+  create(context) {
+    const [{ max = defaultMaxParameters } = {}] = context.options;
+    const { sourceCode } = context;
+
+    /**
+     * @param {Node} node
+     */
+    function checkFunction(node) {
+      if (node.params.length <= max || isCallbackArgument(node)) {
+        return;
+      }
+
+      const firstParameter = node.params[0];
+      const lastParameter = node.params.at(-1);
+      const hasComments = sourceCode
+        .getCommentsInside(node)
+        .some(
+          (comment) =>
+            comment.range[0] > firstParameter.range[0] &&
+            comment.range[1] < lastParameter.range[1],
+        );
+
+      context.report({
+        data: { count: node.params.length, max, name: getFunctionName(node) },
+        loc: { end: lastParameter.loc.end, start: firstParameter.loc.start },
+        messageId: "tooManyParams",
+        suggest:
+          canDestructureParameters(node.params) && !hasComments
+            ? [
+                {
+                  fix: (fixer) =>
+                    fixer.replaceTextRange(
+                      [firstParameter.range[0], lastParameter.range[1]],
+                      `{ ${node.params.map((parameter) => sourceCode.getText(parameter)).join(", ")} }`,
+                    ),
+                  messageId: "useOptionsObject",
+                },
+              ]
+            : [],
+      });
+    }
+
+    return {
+      ArrowFunctionExpression: checkFunction,
+      FunctionDeclaration: checkFunction,
+      FunctionExpression: checkFunction,
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Require a single options object instead of more than 3 positional parameters",
+    },
+    hasSuggestions: true,
+    messages: {
+      tooManyParams:
+        "{{name}} has {{count}} parameters (max {{max}}). Take a single options object instead.",
+      useOptionsObject:
+        "Destructure the parameters from one options object (call sites must be updated).",
+    },
+    schema: [
+      {
+        additionalProperties: false,
+        properties: { max: { minimum: 0, type: "integer" } },
+        type: "object",
+      },
+    ],
+    type: "suggestion",
+  },
+};
+
+export default preferOptionsObject;
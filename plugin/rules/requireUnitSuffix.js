@@ -0,0 +1,264 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ * @typedef {import("eslint").Scope.Variable} Variable
+ */
+
+/**
+ * @typedef {Object} Measure
+ * @property {string[]} terms - Last word of a name that holds this kind of quantity, e.g. `timeout`
+ * @property {string[]} suggestedUnits - Suffixes offered as rename suggestions, e.g. `Ms`
+ */
+
+/** @type {Measure[]} */
+const defaultMeasures = [
+  {
+    suggestedUnits: ["Ms", "Seconds"],
+    terms: [
+      "delay",
+      "duration",
+      "elapsed",
+      "interval",
+      "latency",
+      "timeout",
+      "ttl",
+    ],
+  },
+  // Currencies have no safe default, so names like `priceGBP` are left to the author
+  { suggestedUnits: [], terms: ["cost", "fee", "price"] },
+];
+
+const arithmeticOperators = new Set(["-", "*", "**", "/", "%"]);
+
+const numericCallees = new Set([
+  "Date.now",
+  "Math.abs",
+  "Math.ceil",
+  "Math.floor",
+  "Math.max",
+  "Math.min",
+  "Math.round",
+  "Number",
+  "Number.parseFloat",
+  "Number.parseInt",
+  "performance.now",
+]);
+
+/**
+ * @param {string} name
+ * @returns {string} The trailing camelCase or SCREAMING_CASE word, e.g. `Timeout` for `requestTimeout`
+ */
+function getLastWord(name) {
+  return /(?:[A-Z]+|[A-Z]?[a-z\d]+)$/u.exec(name)?.[0] ?? name;
+}
+
+/**
+ * @param {string} name
+ * @param {string} unit
+ * @returns {string}
+ */
+function getNameWithUnit(name, unit) {
+  return name === name.toUpperCase()
+    ? `${name}_${unit.toUpperCase()}`
+    : `${name}${unit}`;
+}
+
+/**
+ * @param {Variable} variable
+ * @returns {Node[]} Declaring and referencing identifiers, each once
+ */
+function getOccurrences(variable) {
+  return [
+    ...new Set([
+      ...variable.identifiers,
+      ...variable.references.map(({ identifier }) => identifier),
+    ]),
+  ];
+}
+
+/**
+ * @param {Node} identifier
+ * @returns {boolean}
+ */
+function isNumberAnnotated(identifier) {
+  return (
+    identifier.typeAnnotation?.typeAnnotation.type === "TSNumberKeyword" ||
+    identifier.typeAnnotation?.typeAnnotation.type === "TSBigIntKeyword"
+  );
+}
+
+/**
+ * @param {Node | null | undefined} node
+ * @returns {boolean} Whether the expression evaluates to a number
+ */
+function isNumericExpression(node) {
+  switch (node?.type) {
+    case "BinaryExpression": {
+      return (
+        arithmeticOperators.has(node.operator) ||
+        (node.operator === "+" &&
+          isNumericExpression(node.left) &&
+          isNumericExpression(node.right))
+      );
+    }
+    case "CallExpression": {
+      return numericCallees.has(
+        node.callee.type === "MemberExpression"
+          ? `${node.callee.object.name}.${node.callee.property.name}`
+          : node.callee.name,
+      );
+    }
+    case "Literal": {
+      return typeof node.value === "number" || typeof node.value === "bigint";
+    }
+    case "TSAsExpression":
+    case "TSSatisfiesExpression": {
+      return isNumericExpression(node.expression);
+    }
+    case "UnaryExpression": {
+      return (
+        (node.operator === "-" || node.operator === "+") &&
+        isNumericExpression(node.argument)
+      );
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+/**
+ * @param {Variable} variable
+ * @param {string} newName
+ * @returns {boolean} Whether renaming every occurrence keeps the program's meaning
+ */
+function isSafeToRename(variable, newName) {
+  if (variable.scope.set.has(newName)) {
+    return false;
+  }
+
+  return getOccurrences(variable).every(
+    ({ parent }) =>
+      // Renaming these would also change a key or an exported name seen by other code
+      !(parent.type === "Property" && parent.shorthand) &&
+      parent.type !== "ExportSpecifier" &&
+      parent.parent?.parent?.type !== "ExportNamedDeclaration",
+  );
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const requireUnitSuffix = {
+  create(context) {
+    const [{ measures = defaultMeasures } = {}] = context.options;
+    const { sourceCode } = context;
+
+    /**
+     * @param {Node} identifier
+     * @param {Node} declarationNode - Node whose declared variables include the identifier
+     */
+    function checkName(identifier, declarationNode) {
+      const lastWord = getLastWord(identifier.name).toLowerCase();
+      const measure = measures.find(({ terms }) =>
+        terms.some((term) => term.toLowerCase() === lastWord),
+      );
+
+      if (!measure) {
+        return;
+      }
+
+      const variable = sourceCode
+        .getDeclaredVariables(declarationNode)
+        .find(({ name }) => name === identifier.name);
+
+      context.report({
+        data: { name: identifier.name },
+        messageId: "missingUnit",
+        node: identifier,
+        suggest: measure.suggestedUnits
+          .map((unit) => getNameWithUnit(identifier.name, unit))
+          .filter((newName) => variable && isSafeToRename(variable, newName))
+          .map((newName) => ({
+            data: { newName },
+            fix: (fixer) =>
+              getOccurrences(variable).map((occurrence) =>
+                // A TypeScript identifier's range also covers its type annotation
+                fixer.replaceTextRange(
+                  [
+                    occurrence.range[0],
+                    occurrence.range[0] + occurrence.name.length,
+                  ],
+                  newName,
+                ),
+              ),
+            messageId: "renameWithUnit",
+          })),
+      });
+    }
+
+    /**
+     * @param {Node} node
+     */
+    function checkParameters(node) {
+      for (const parameter of node.params) {
+        if (parameter.type === "Identifier" && isNumberAnnotated(parameter)) {
+          checkName(parameter, node);
+        } else if (
+          parameter.type === "AssignmentPattern" &&
+          parameter.left.type === "Identifier" &&
+          (isNumberAnnotated(parameter.left) ||
+            isNumericExpression(parameter.right))
+        ) {
+          checkName(parameter.left, node);
+        }
+      }
+    }
+
+    return {
+      ArrowFunctionExpression: checkParameters,
+      FunctionDeclaration: checkParameters,
+      FunctionExpression: checkParameters,
+      VariableDeclarator(node) {
+        if (
+          node.id.type === "Identifier" &&
+          (isNumberAnnotated(node.id) || isNumericExpression(node.init))
+        ) {
+          checkName(node.id, node);
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Require a unit in the names of numeric durations and amounts, e.g. `timeoutMs` or `priceGBP`",
+    },
+    hasSuggestions: true,
+    messages: {
+      missingUnit:
+        "'{{name}}' holds a quantity without a unit. Add one to the name, e.g. `timeoutMs` or `priceGBP`.",
+      renameWithUnit: "Rename to '{{newName}}'.",
+    },
+    schema: [
+      {
+        additionalProperties: false,
+        properties: {
+          measures: {
+            items: {
+              additionalProperties: false,
+              properties: {
+                suggestedUnits: { items: { type: "string" }, type: "array" },
+                terms: { items: { type: "string" }, type: "array" },
+              },
+              required: ["terms", "suggestedUnits"],
+              type: "object",
+            },
+            type: "array",
+          },
+        },
+        type: "object",
+      },
+    ],
+    type: "suggestion",
+  },
+};
+
+export default requireUnitSuffix;
@@ -0,0 +1,64 @@
+import { getLoggerNames, getLogLevel } from "../loggerCalls.js";
+
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+/**
+ * @param {Node} node
+ * @returns {boolean} Whether the argument builds its text from values
+ */
+function isInterpolatedString(node) {
+  if (node.type === "TemplateLiteral") {
+    return node.expressions.length > 0;
+  }
+
+  return (
+    node.type === "BinaryExpression" &&
+    node.operator === "+" &&
+    [node.left, node.right].some(
+      (operand) =>
+        operand.type === "TemplateLiteral" ||
+        (operand.type === "Literal" && typeof operand.value === "string") ||
+        isInterpolatedString(operand),
+    )
+  );
+}
+
+/** @type {import("eslint").Rule.RuleModule} */
+const structuredLogMessage = {
+  create(context) {
+    const loggerNames = getLoggerNames(context);
+
+    return {
+      CallExpression(node) {
+        if (getLogLevel(node, loggerNames) === undefined) {
+          return;
+        }
+
+        for (const argument of node.arguments) {
+          if (isInterpolatedString(argument)) {
+            context.report({
+              messageId: "interpolatedMessage",
+              node: argument,
+            });
+          }
+        }
+      },
+    };
+  },
+  meta: {
+    docs: {
+      description:
+        "Require values to be logged as structured fields rather than interpolated into the message",
+    },
+    messages: {
+      interpolatedMessage:
+        "Pass values as fields of a log object instead of building them into the message, so log aggregation can query them.",
+    },
+    schema: [],
+    type: "suggestion",
+  },
+};
+
+export default structuredLogMessage;
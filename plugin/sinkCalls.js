@@ -0,0 +1,253 @@
+/**
+ * @typedef {import("eslint").Rule.Node} Node
+ */
+
+/**
+ * @typedef {Object} ModuleBindings
+ * @property {Map<string, string>} functionNames - Local names of the module's functions, mapped to the names it exports them as
+ * @property {Set<string>} namespaceNames - Local names of the module object itself, e.g. `fs` in `import fs from "node:fs"`
+ */
+
+// Modules whose functions build paths and URLs from their arguments alone
+const pathModuleNames = new Set([
+  "node:path",
+  "node:path/posix",
+  "node:path/win32",
+  "node:url",
+  "path",
+  "path/posix",
+  "path/win32",
+  "url",
+]);
+
+const staticPathFunctionNames = new Set([
+  "fileURLToPath",
+  "join",
+  "normalize",
+  "resolve",
+]);
+
+/**
+ * @param {ModuleBindings} bindings
+ * @param {Node} pattern - What a `require()` call is assigned to
+ */
+function addRequiredBindings(bindings, pattern) {
+  if (pattern.type === "Identifier") {
+    bindings.namespaceNames.add(pattern.name);
+
+    return;
+  }
+
+  if (pattern.type === "ObjectPattern") {
+    for (const property of pattern.properties) {
+      if (
+        property.type === "Property" &&
+        property.key.type === "Identifier" &&
+        property.value.type === "Identifier"
+      ) {
+        bindings.functionNames.set(property.value.name, property.key.name);
+      }
+    }
+  }
+}
+
+/**
+ * @param {Node} identifier
+ * @param {import("eslint").SourceCode} sourceCode
+ * @returns {Node | undefined} What the `const` the identifier refers to is initialized with, when it is declared before the identifier, which also rules out cycles
+ */
+function findConstInitializer(identifier, sourceCode) {
+  const variable = sourceCode
+    .getScope(identifier)
+    .references.find(
+      (reference) => reference.identifier === identifier,
+    )?.resolved;
+  const [definition] = variable?.defs ?? [];
+
+  return variable?.defs.length === 1 &&
+    definition.type === "Variable" &&
+    definition.parent.kind === "const" &&
+    definition.node.id.type === "Identifier" &&
+    definition.node.init &&
+    definition.node.range[1] <= identifier.range[0]
+    ? definition.node.init
+    : undefined;
+}
+
+/**
+ * Collects how a file refers to a module, from its top-level `import` declarations and `require()` calls
+ * @param {Node} program
+ * @param {Set<string>} moduleNames - e.g. `fs` and `node:fs`
+ * @returns {ModuleBindings}
+ */
+function findModuleBindings(program, moduleNames) {
+  /** @type {ModuleBindings} */
+  const bindings = { functionNames: new Map(), namespaceNames: new Set() };
+
+  for (const statement of program.body) {
+    if (
+      statement.type === "ImportDeclaration" &&
+      moduleNames.has(statement.source.value)
+    ) {
+      for (const specifier of statement.specifiers) {
+        if (specifier.type === "ImportSpecifier") {
+          bindings.functionNames.set(
+            specifier.local.name,
+            specifier.imported.name ?? specifier.imported.value,
+          );
+        } else {
+          bindings.namespaceNames.add(specifier.local.name);
+        }
+      }
+    }
+
+    if (statement.type === "VariableDeclaration") {
+      for (const { id, init } of statement.declarations) {
+        if (isRequireCall(init, moduleNames)) {
+          addRequiredBindings(bindings, id);
+        }
+      }
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * @param {Node} node - Call or new expression
+ * @returns {string | undefined} The name of the function called: `sanitize` for `sanitize()` and `DOMPurify.sanitize()` alike
+ */
+function getCalledName({ callee }) {
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+
+  return callee.type === "MemberExpression" && !callee.computed
+    ? callee.property.name
+    : undefined;
+}
+
+/**
+ * @param {Node} node - Call expression
+ * @param {ModuleBindings} bindings
+ * @returns {string | undefined} The exported name of the module function called, for `readFile()`, `fs.readFile()` and `fs.promises.readFile()` alike
+ */
+function getModuleFunctionName({ callee }, { functionNames, namespaceNames }) {
+  if (callee.type !== "MemberExpression" || callee.computed) {
+    return callee.type === "Identifier"
+      ? functionNames.get(callee.name)
+      : undefined;
+  }
+
+  const { object, property } = callee;
+  const namespace =
+    object.type === "MemberExpression" &&
+    !object.computed &&
+    object.property.name === "promises"
+      ? object.object
+      : object;
+
+  return namespace.type === "Identifier" && namespaceNames.has(namespace.name)
+    ? property.name
+    : undefined;
+}
+
+/**
+ * @param {Node} node - Call or new expression
+ * @param {ModuleBindings} pathBindings - How the file refers to the `path` and `url` modules
+ * @returns {boolean} Whether the call builds a path or URL from its arguments alone: `join()` or `path.join()` of those modules, `new URL()` and `process.cwd()`
+ */
+function isPathCall(node, pathBindings) {
+  const { callee } = node;
+
+  if (callee.type === "Identifier" && callee.name === "URL") {
+    return true;
+  }
+
+  if (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    callee.object.type === "Identifier" &&
+    callee.object.name === "process"
+  ) {
+    return callee.property.name === "cwd";
+  }
+
+  return staticPathFunctionNames.has(getModuleFunctionName(node, pathBindings));
+}
+
+/**
+ * @param {Node | null | undefined} node
+ * @param {Set<string>} moduleNames
+ * @returns {boolean} Whether the node is `require()` of one of the modules
+ */
+function isRequireCall(node, moduleNames) {
+  return (
+    node?.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments[0]?.type === "Literal" &&
+    moduleNames.has(node.arguments[0].value)
+  );
+}
+
+/**
+ * @param {Node} node
+ * @param {ModuleBindings} pathBindings - How the file refers to the `path` and `url` modules, from `findModuleBindings(program, pathModuleNames)`
+ * @param {import("eslint").SourceCode} sourceCode
+ * @returns {boolean} Whether the value is fixed in the source: literals, the module's own location, paths joined from those, and `const` bindings of them
+ */
+function isStaticValue(node, pathBindings, sourceCode) {
+  switch (node.type) {
+    case "BinaryExpression": {
+      return (
+        node.operator === "+" &&
+        isStaticValue(node.left, pathBindings, sourceCode) &&
+        isStaticValue(node.right, pathBindings, sourceCode)
+      );
+    }
+    case "CallExpression":
+    case "NewExpression": {
+      return (
+        isPathCall(node, pathBindings) &&
+        node.arguments.every((argument) =>
+          isStaticValue(argument, pathBindings, sourceCode),
+        )
+      );
+    }
+    case "Identifier": {
+      if (node.name === "__dirname" || node.name === "__filename") {
+        return true;
+      }
+
+      const initializer = findConstInitializer(node, sourceCode);
+
+      return (
+        initializer !== undefined &&
+        isStaticValue(initializer, pathBindings, sourceCode)
+      );
+    }
+    case "Literal": {
+      return true;
+    }
+    case "MemberExpression": {
+      return node.object.type === "MetaProperty";
+    }
+    case "TemplateLiteral": {
+      return node.expressions.every((expression) =>
+        isStaticValue(expression, pathBindings, sourceCode),
+      );
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+export {
+  findModuleBindings,
+  getCalledName,
+  getModuleFunctionName,
+  isStaticValue,
+  pathModuleNames,
+};
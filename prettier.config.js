@@ -1,8 +1,22 @@
-/** @type {import("prettier").Options} */
-function generatePrettierConfig({ appType = "fullstack" }) {
+import { getTailwindPrettierOptions } from "./configuration/tailwind.js";
+
+/**
+ * @param {Object} options - Configuration options
+ * @param {'fullstack' | 'solid' | 'backendOnly' | 'cli'} [options.appType='fullstack'] - Type of application to configure; only 'fullstack' and 'solid' sort Tailwind classes
+ * @param {string} [options.rootDir=process.cwd()] - Project root the Tailwind entry point is detected in
+ * @param {string} [options.tailwindEntryPoint] - Tailwind v4 CSS entry point or v3 `tailwind.config.js`, detected in `rootDir` when omitted
+ * @returns {import("prettier").Options}
+ */
+function generatePrettierConfig({
+  appType = "fullstack",
+  rootDir,
+  tailwindEntryPoint,
+}) {
   const plugins = ["prettier-plugin-packagejson"];
+  const shouldSortTailwindClasses =
+    appType === "fullstack" || appType === "solid";
 
-  if (appType === "fullstack") {
+  if (shouldSortTailwindClasses) {
     plugins.push("prettier-plugin-tailwindcss");
   }
 
@@ -21,6 +35,9 @@ function generatePrettierConfig({ appType = "fullstack" }) {
     tabWidth: 2,
     trailingComma: "all",
     useTabs: false,
+    ...(shouldSortTailwindClasses
+      ? getTailwindPrettierOptions({ entryPoint: tailwindEntryPoint, rootDir })
+      : {}),
   };
 }
 
@@ -0,0 +1,122 @@
+import { describe, expect, test } from "vitest";
+
+import { findRuleIssues } from "../configuration/audit.js";
+import {
+  checkEslintConfig,
+  generateEslintConfigByFeatures,
+} from "../eslint.config.js";
+
+/** @type {import("eslint").Rule.RuleModule["create"]} */
+function createRule() {
+  return {};
+}
+
+describe("findRuleIssues", () => {
+  test("reports removed, deprecated, duplicate and Prettier-conflicting rules", async () => {
+    const demoPlugin = {
+      rules: {
+        "no-var": { create: createRule, meta: {} },
+        "old-rule": {
+          create: createRule,
+          meta: { deprecated: true, replacedBy: ["demo/new-rule"] },
+        },
+      },
+    };
+    const unicornPlugin = {
+      rules: { "number-literal-case": { create: createRule, meta: {} } },
+    };
+
+    expect(
+      await findRuleIssues([
+        {
+          plugins: { demo: demoPlugin, unicorn: unicornPlugin },
+          rules: {
+            "demo/gone-rule": 0,
+            "demo/no-var": 2,
+            "demo/old-rule": 1,
+            "no-var": 2,
+            "other-plugin/rule": 0,
+            "unicorn/number-literal-case": 2,
+          },
+        },
+      ]),
+    ).toStrictEqual([
+      {
+        kind: "removed",
+        message: "demo/gone-rule is not defined by demo; remove it.",
+        ruleId: "demo/gone-rule",
+      },
+      {
+        kind: "duplicate",
+        message: "demo/no-var and no-var are both on; turn one off.",
+        ruleId: "demo/no-var",
+      },
+      {
+        kind: "deprecated",
+        message: "demo/old-rule is deprecated; use demo/new-rule instead.",
+        ruleId: "demo/old-rule",
+      },
+      {
+        kind: "prettier",
+        message:
+          "unicorn/number-literal-case checks formatting that Prettier owns; turn it off.",
+        ruleId: "unicorn/number-literal-case",
+      },
+    ]);
+  });
+
+  test("names the plugin a core rule moved to", async () => {
+    expect(await findRuleIssues([{ rules: { semi: 2 } }])).toStrictEqual([
+      {
+        kind: "deprecated",
+        message:
+          "semi is deprecated; use semi from @stylistic/eslint-plugin instead.",
+        ruleId: "semi",
+      },
+      {
+        kind: "prettier",
+        message: "semi checks formatting that Prettier owns; turn it off.",
+        ruleId: "semi",
+      },
+    ]);
+  });
+});
+
+describe("checkEslintConfig", () => {
+  test.each(["fullstack", "solid", "backendOnly", "cli"])(
+    "finds no issues in the %s config",
+    async (appType) => {
+      expect(
+        await checkEslintConfig({ appType, shouldEnableStorybook: true }),
+      ).toStrictEqual([]);
+    },
+  );
+
+  test.each([true, false])(
+    "finds no issues with every feature on, shouldEnableTypescript: %s",
+    async (shouldEnableTypescript) => {
+      const configs = generateEslintConfigByFeatures({
+        shouldEnableA11y: true,
+        shouldEnableBrowserGlobals: true,
+        shouldEnableCypress: true,
+        shouldEnableGraphql: true,
+        shouldEnableJson: true,
+        shouldEnableMarkdown: true,
+        shouldEnableNodeGlobals: true,
+        shouldEnablePlaywright: true,
+        shouldEnableQuery: true,
+        shouldEnableReact: true,
+        shouldEnableRouter: true,
+        shouldEnableSecurity: true,
+        shouldEnableStorybook: true,
+        shouldEnableStructuredLogging: true,
+        shouldEnableTailwind: true,
+        shouldEnableTypescript,
+        shouldEnableVitest: true,
+        shouldEnableYaml: true,
+      });
+
+      expect(await findRuleIssues(configs)).toStrictEqual([]);
+    },
+  );
+});
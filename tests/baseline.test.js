@@ -0,0 +1,165 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { baselineFileName, runBaseline, runLint } from "../cli/baseline.js";
+
+describe("baseline", () => {
+  let projectDirectory = "";
+  let logLines = [];
+
+  /**
+   * @param {string} line
+   */
+  function log(line) {
+    logLines.push(line);
+  }
+
+  /**
+   * @returns {import("../cli/baseline.js").Baseline}
+   */
+  function readBaselineFile() {
+    return JSON.parse(
+      readFileSync(join(projectDirectory, baselineFileName), "utf8"),
+    );
+  }
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(
+      join(tmpdir(), "uba-eslint-config-baseline-"),
+    );
+    logLines = [];
+    writeFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      'export default [{ rules: { "no-debugger": 2, "no-var": 2, "prefer-const": 1 } }];\n',
+    );
+    writeFileSync(
+      join(projectDirectory, "legacy.js"),
+      "var seats = 1;\nvar rows = 2;\ndebugger;\n",
+    );
+    writeFileSync(
+      join(projectDirectory, "clean.js"),
+      "export const seats = 1;\n",
+    );
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("records error counts by file and rule", async () => {
+    const result = await runBaseline({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(readBaselineFile()).toStrictEqual({
+      "legacy.js": { "no-debugger": 1, "no-var": 2 },
+    });
+    expect(logLines).toStrictEqual([
+      `Recorded 3 errors in 1 files to ${baselineFileName}.`,
+    ]);
+  });
+
+  test("passes while the errors stay within the baseline", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    logLines = [];
+
+    const result = await runLint({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(logLines).toStrictEqual([]);
+  });
+
+  test("reports every error of a rule that breaks more often than the baseline allows", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    writeFileSync(
+      join(projectDirectory, "legacy.js"),
+      "var seats = 1;\nvar rows = 2;\nvar aisles = 3;\ndebugger;\n",
+    );
+    logLines = [];
+
+    const result = await runLint({ cwd: projectDirectory, log });
+    const [output] = logLines;
+
+    expect(result.isSuccessful).toBe(false);
+    expect(output.match(/no-var/gu)).toHaveLength(3);
+    expect(output).not.toContain("no-debugger");
+  });
+
+  test("reports errors in files the baseline does not list", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    writeFileSync(join(projectDirectory, "clean.js"), "debugger;\n");
+
+    const result = await runLint({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(false);
+    expect(logLines.join("\n")).toContain("clean.js");
+  });
+
+  test("removes fixed errors from the baseline", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    writeFileSync(join(projectDirectory, "legacy.js"), "var seats = 1;\n");
+    logLines = [];
+
+    const result = await runLint({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(readBaselineFile()).toStrictEqual({ "legacy.js": { "no-var": 1 } });
+    expect(logLines).toStrictEqual([
+      `Removed 2 fixed errors from ${baselineFileName}.`,
+    ]);
+  });
+
+  test("fails in CI when the baseline lists fixed errors, without rewriting it", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    writeFileSync(join(projectDirectory, "legacy.js"), "var seats = 1;\n");
+
+    const result = await runLint({ cwd: projectDirectory, isCi: true, log });
+
+    expect(result.isSuccessful).toBe(false);
+    expect(readBaselineFile()).toStrictEqual({
+      "legacy.js": { "no-debugger": 1, "no-var": 2 },
+    });
+  });
+
+  test("keeps the entries of files a run does not lint", async () => {
+    writeFileSync(join(projectDirectory, "clean.js"), "debugger;\n");
+    await runBaseline({ cwd: projectDirectory, log });
+    logLines = [];
+
+    const result = await runLint({
+      cwd: projectDirectory,
+      isCi: true,
+      log,
+      patterns: ["clean.js"],
+    });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(logLines).toStrictEqual([]);
+    expect(readBaselineFile()).toStrictEqual({
+      "clean.js": { "no-debugger": 1 },
+      "legacy.js": { "no-debugger": 1, "no-var": 2 },
+    });
+  });
+
+  test("removes the entries of deleted files", async () => {
+    await runBaseline({ cwd: projectDirectory, log });
+    rmSync(join(projectDirectory, "legacy.js"));
+    logLines = [];
+
+    const result = await runLint({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(readBaselineFile()).toStrictEqual({});
+    expect(logLines).toStrictEqual([
+      `Removed 3 fixed errors from ${baselineFileName}.`,
+    ]);
+  });
+
+  test("reports every error without a baseline file", async () => {
+    const result = await runLint({ cwd: projectDirectory, log });
+
+    expect(result.isSuccessful).toBe(false);
+    expect(logLines.join("\n")).toContain("3 errors");
+  });
+});
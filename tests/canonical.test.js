@@ -0,0 +1,139 @@
+import { Linter } from "eslint";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { getCanonicalConfig } from "../configuration/canonical.js";
+
+describe("getCanonicalConfig", () => {
+  let projectDirectory = "";
+
+  /**
+   * @param {string} filePath - Relative to the project directory
+   * @param {string | object} content - Objects are written as JSON
+   */
+  function writeProjectFile(filePath, content) {
+    const absolutePath = join(projectDirectory, filePath);
+
+    mkdirSync(dirname(absolutePath), { recursive: true });
+    writeFileSync(
+      absolutePath,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+  }
+
+  /**
+   * @param {import("../configuration/canonical.js").CanonicalOptions} options
+   * @returns {{ alias: string, matchPath: string }[]}
+   */
+  function listAliases(options) {
+    const [, { aliases }] =
+      getCanonicalConfig(options).rules["canonical/prefer-import-alias"];
+
+    return aliases
+      .filter(({ matchParent }) => matchParent !== undefined)
+      .map(({ alias, matchPath }) => ({ alias, matchPath }));
+  }
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-alias-"));
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("falls back to @/ for src without tsconfig paths", () => {
+    expect(listAliases({ rootDir: projectDirectory })).toStrictEqual([
+      { alias: "@/", matchPath: String.raw`^src\/` },
+    ]);
+  });
+
+  test("reads paths from an extended tsconfig, relative to the file declaring them", () => {
+    writeProjectFile("tsconfig.base.json", {
+      compilerOptions: { paths: { "#/*": ["./packages/web/src/*"] } },
+    });
+    writeProjectFile("packages/web/tsconfig.json", {
+      extends: "../../tsconfig.base.json",
+    });
+
+    expect(
+      listAliases({ rootDir: join(projectDirectory, "packages/web") }),
+    ).toStrictEqual([{ alias: "#/", matchPath: String.raw`^src\/` }]);
+  });
+
+  test("reads jsconfig.json and lists nested directories first", () => {
+    writeProjectFile(
+      "jsconfig.json",
+      `{
+        // Comments and trailing commas are valid in jsconfig files
+        "compilerOptions": {
+          "baseUrl": ".",
+          "paths": { "~/*": ["app/*"], "~ui/*": ["app/ui/*"], "config": ["app/config.js"], },
+        },
+      }`,
+    );
+
+    expect(listAliases({ rootDir: projectDirectory })).toStrictEqual([
+      { alias: "~ui/", matchPath: String.raw`^app\/ui\/` },
+      { alias: "~/", matchPath: String.raw`^app\/` },
+    ]);
+  });
+
+  test("adds explicit aliases and lets them replace tsconfig ones", () => {
+    writeProjectFile("tsconfig.json", {
+      compilerOptions: { paths: { "@/*": ["./src/*"], "~/*": ["./app/*"] } },
+    });
+
+    expect(
+      listAliases({
+        importAliases: { "#/": ["lib", "shared"], "~/": "client" },
+        rootDir: projectDirectory,
+      }),
+    ).toStrictEqual([
+      { alias: "~/", matchPath: String.raw`^client\/` },
+      { alias: "#/", matchPath: String.raw`^shared\/` },
+      { alias: "@/", matchPath: String.raw`^src\/` },
+      { alias: "#/", matchPath: String.raw`^lib\/` },
+    ]);
+  });
+
+  test("fixes deep relative imports to the alias, relative to the project root", () => {
+    const linter = new Linter({ cwd: projectDirectory });
+    const { output } = linter.verifyAndFix(
+      'import formatPrice from "../../utils/format-price.js";',
+      [
+        getCanonicalConfig({
+          importAliases: { "#/": "src" },
+          rootDir: projectDirectory,
+        }),
+      ],
+      join(projectDirectory, "src/features/orders/order-row.js"),
+    );
+
+    expect(output).toBe('import formatPrice from "#/utils/format-price.js";');
+  });
+
+  test("requires the alias for imports climbing into its directory, but not for those next to them", () => {
+    const linter = new Linter({ cwd: projectDirectory });
+    const config = [getCanonicalConfig({ rootDir: projectDirectory })];
+
+    expect(
+      linter.verify(
+        'import App from "./app.js";',
+        config,
+        join(projectDirectory, "src/main.js"),
+      ),
+    ).toStrictEqual([]);
+    expect(
+      linter
+        .verify(
+          'import config from "../config.js";',
+          config,
+          join(projectDirectory, "src/features/orders.js"),
+        )
+        .map(({ ruleId }) => ruleId),
+    ).toStrictEqual(["canonical/prefer-import-alias"]);
+  });
+});
@@ -0,0 +1,223 @@
+import { ESLint } from "eslint";
+import { fileURLToPath } from "node:url";
+import { describe, expect, test } from "vitest";
+
+import {
+  generateEslintConfig,
+  generateEslintConfigByFeatures,
+} from "../eslint.config.js";
+
+const rootDir = fileURLToPath(new URL("..", import.meta.url));
+
+/** @type {Record<string, Parameters<typeof generateEslintConfig>[0]>} */
+const configVariants = {
+  "backend-only": { appType: "backendOnly" },
+  "backend-only-javascript": {
+    appType: "backendOnly",
+    shouldEnableTypescript: false,
+  },
+  "backend-only-security": {
+    appType: "backendOnly",
+    shouldEnableSecurity: true,
+  },
+  "backend-only-structured-logging": {
+    appType: "backendOnly",
+    loggerNames: ["logger", "pino"],
+    shouldEnableStructuredLogging: true,
+  },
+  cli: { appType: "cli" },
+  fullstack: { appType: "fullstack" },
+  "fullstack-import-cycle-on": {
+    appType: "fullstack",
+    importCycleCheckMode: "on",
+  },
+  "fullstack-javascript": {
+    appType: "fullstack",
+    shouldEnableTypescript: false,
+  },
+  "fullstack-playwright": {
+    appType: "fullstack",
+    shouldEnablePlaywright: true,
+  },
+  "fullstack-security": { appType: "fullstack", shouldEnableSecurity: true },
+  "fullstack-storybook": { appType: "fullstack", shouldEnableStorybook: true },
+  "fullstack-syntactic": { appType: "fullstack", typeCheckMode: "syntactic" },
+  "fullstack-without-tailwind": {
+    appType: "fullstack",
+    shouldEnableTailwind: false,
+  },
+  solid: { appType: "solid" },
+};
+
+/**
+ * @param {import("eslint").Linter.Config[]} config
+ * @returns {string[]} One line per rule a feature turns on, with its severity, e.g. `uba/react  react/button-has-type: 2`
+ */
+function listFeatureRules(config) {
+  const lines = config.flatMap(({ name, rules = {} }) =>
+    Object.entries(rules)
+      .map(([ruleId, ruleEntry]) => [
+        ruleId,
+        toSeverity(Array.isArray(ruleEntry) ? ruleEntry[0] : ruleEntry),
+      ])
+      .filter(([, severity]) => severity > 0)
+      .map(([ruleId, severity]) => `${name}  ${ruleId}: ${severity}`),
+  );
+
+  return [...new Set(lines)].sort();
+}
+
+/**
+ * @param {import("eslint").Linter.RuleSeverity} severity
+ * @returns {number}
+ */
+function toSeverity(severity) {
+  return typeof severity === "number"
+    ? severity
+    : ["off", "warn", "error"].indexOf(severity);
+}
+
+describe("feature rules", () => {
+  // An `appType` alone lists every rule; a variant with flags lists the rules it adds (+) and drops (-)
+  test.each(Object.entries(configVariants))(
+    "%s matches its snapshot",
+    async (variantName, options) => {
+      const featureRules = listFeatureRules(
+        generateEslintConfig({ rootDir, ...options }),
+      );
+      const appTypeRules = listFeatureRules(
+        generateEslintConfig({ appType: options.appType, rootDir }),
+      );
+      const lines =
+        Object.keys(options).length === 1
+          ? featureRules
+          : [
+              ...featureRules
+                .filter((line) => !appTypeRules.includes(line))
+                .map((line) => `+ ${line}`),
+              ...appTypeRules
+                .filter((line) => !featureRules.includes(line))
+                .map((line) => `- ${line}`),
+            ];
+
+      await expect(`${lines.join("\n")}\n`).toMatchFileSnapshot(
+        `__snapshots__/config/${variantName}.txt`,
+      );
+    },
+  );
+});
+
+describe("test runner globs", () => {
+  /**
+   * @param {string} filePath
+   * @param {Parameters<typeof generateEslintConfigByFeatures>[0]} options
+   * @returns {Promise<string[]>} Test plugins with a rule on for the file
+   */
+  async function findTestPlugins(filePath, options) {
+    const eslint = new ESLint({
+      cwd: rootDir,
+      overrideConfig: generateEslintConfigByFeatures({
+        shouldEnableCypress: true,
+        shouldEnablePlaywright: true,
+        shouldEnableVitest: true,
+        ...options,
+      }),
+      overrideConfigFile: true,
+    });
+    const { rules } = await eslint.calculateConfigForFile(filePath);
+
+    return ["cypress", "playwright", "testing-library", "vitest"].filter(
+      (pluginName) =>
+        Object.entries(rules).some(
+          ([ruleId, [severity]]) =>
+            ruleId.startsWith(`${pluginName}/`) && severity > 0,
+        ),
+    );
+  }
+
+  test.each([
+    ["e2e/checkout.spec.ts", "playwright"],
+    ["e2e/checkout.test.ts", "playwright"],
+    ["src/checkout.spec.ts", "playwright"],
+    ["cypress/e2e/checkout.spec.ts", "playwright"],
+    ["cypress/e2e/checkout.cy.ts", "cypress"],
+    ["src/App.test.tsx", "cypress"],
+    ["src/sum.test.ts", "vitest"],
+    ["tests/sum.test.js", "vitest"],
+  ])("lints %s with %s rules only", async (filePath, runner) => {
+    expect(await findTestPlugins(filePath, {})).toStrictEqual([runner]);
+  });
+
+  test.each([
+    ["src/App.test.tsx", ["testing-library", "vitest"]],
+    ["src/App.spec.tsx", ["testing-library", "vitest"]],
+    ["cypress/component/App.test.tsx", ["cypress"]],
+    ["src/sum.test.ts", ["vitest"]],
+  ])(
+    "lints %s with the right runner when Vitest runs React component tests",
+    async (filePath, testPlugins) => {
+      expect(
+        await findTestPlugins(filePath, { shouldEnableReact: true }),
+      ).toStrictEqual(testPlugins);
+    },
+  );
+
+  test("keeps fullstack's *.test.tsx files with Cypress when Testing Library is turned off", async () => {
+    const eslint = new ESLint({
+      cwd: rootDir,
+      overrideConfig: generateEslintConfig({
+        appType: "fullstack",
+        shouldEnableTestingLibrary: false,
+      }),
+      overrideConfigFile: true,
+    });
+    const { rules } = await eslint.calculateConfigForFile("src/App.test.tsx");
+
+    expect(rules["cypress/no-unnecessary-waiting"]?.[0]).toBe(2);
+    expect(rules["testing-library/prefer-screen-queries"]).toBeUndefined();
+  });
+});
+
+describe("structured logging", () => {
+  test("checks the logger calls of a CLI, which keeps its console output", async () => {
+    const eslint = new ESLint({
+      cwd: rootDir,
+      overrideConfig: generateEslintConfig({
+        appType: "cli",
+        loggerNames: ["pino"],
+        shouldEnableStructuredLogging: true,
+      }),
+      overrideConfigFile: true,
+    });
+    const { rules, settings } =
+      await eslint.calculateConfigForFile("src/index.ts");
+
+    expect(rules["uba/structured-log-message"]).toStrictEqual([2]);
+    expect(rules["no-console"]).toStrictEqual([
+      2,
+      { allow: ["error", "info", "log", "warn"] },
+    ]);
+    expect(settings.uba.loggerNames).toStrictEqual(["pino"]);
+  });
+});
+
+describe("JSON and YAML files", () => {
+  test("finds no problems in the package's own package.json, tsconfig.json and workflows", async () => {
+    const eslint = new ESLint({
+      cwd: rootDir,
+      overrideConfig: generateEslintConfig({
+        appType: "cli",
+        shouldEnableJson: true,
+        shouldEnableYaml: true,
+      }),
+      overrideConfigFile: true,
+    });
+    const results = await eslint.lintFiles([
+      "package.json",
+      "tsconfig.json",
+      ".github/workflows/*.yml",
+    ]);
+
+    expect(results.flatMap(({ messages }) => messages)).toStrictEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+import { ESLint } from "eslint";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { runCycles } from "../cli/cycles.js";
+import {
+  getImportCycleConfigs,
+  importEslintJavascriptConfig,
+} from "../configuration/import.js";
+
+describe("import cycles", () => {
+  let projectDirectory = "";
+  let logLines = [];
+
+  /**
+   * @param {string} line
+   */
+  function log(line) {
+    logLines.push(line);
+  }
+
+  /**
+   * @param {Record<string, string>} files - Contents by path, relative to the project directory
+   */
+  function writeProjectFiles(files) {
+    for (const [path, content] of Object.entries(files)) {
+      mkdirSync(dirname(join(projectDirectory, path)), { recursive: true });
+      writeFileSync(join(projectDirectory, path), content);
+    }
+  }
+
+  /**
+   * @param {import("../configuration/import.js").ImportCycleOptions} importCycle
+   * @returns {Promise<string[]>} Files with an `import/no-cycle` error
+   */
+  async function lintImportCycles(importCycle) {
+    const eslint = new ESLint({
+      baseConfig: [
+        importEslintJavascriptConfig,
+        ...getImportCycleConfigs({
+          importCycle,
+          importCycleCheckMode: "on",
+          shouldEnableTypescript: false,
+        }),
+      ],
+      cwd: projectDirectory,
+      overrideConfigFile: true,
+      ruleFilter: ({ ruleId }) => ruleId === "import/no-cycle",
+    });
+    const results = await eslint.lintFiles(["."]);
+
+    return results
+      .filter(({ messages }) => messages.length > 0)
+      .map(({ filePath }) => filePath.slice(projectDirectory.length + 1))
+      .toSorted();
+  }
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-cycles-"));
+    logLines = [];
+    writeProjectFiles({
+      "eslint.config.js": 'export default [{ rules: { "no-var": 2 } }];\n',
+      "src/booking.js":
+        'import { seat } from "./seat.js";\n\nexport const booking = () => seat;\n',
+      "src/row.js":
+        'import { booking } from "./booking.js";\n\nexport const row = () => booking;\n',
+      "src/seat.js":
+        'import { row } from "./row.js";\n\nexport const seat = () => row;\n',
+      "src/venue.js":
+        'import { booking } from "./booking.js";\n\nexport const venue = () => booking;\n',
+      "tools/build.js":
+        'import { run } from "./run.js";\n\nexport const build = () => run;\n',
+      "tools/run.js":
+        'import { build } from "./build.js";\n\nexport const run = () => build;\n',
+    });
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("disables import/no-cycle when off", () => {
+    expect(
+      getImportCycleConfigs({
+        importCycleCheckMode: "off",
+        shouldEnableTypescript: true,
+      }),
+    ).toStrictEqual([{ rules: { "import/no-cycle": 0 } }]);
+  });
+
+  test("throws on an unknown import cycle check mode", () => {
+    expect(() =>
+      getImportCycleConfigs({
+        importCycleCheckMode: "always",
+        shouldEnableTypescript: true,
+      }),
+    ).toThrow("Invalid import cycle check mode: always");
+  });
+
+  test("limits how deep import/no-cycle looks", async () => {
+    expect(await lintImportCycles({})).toStrictEqual([
+      "src/booking.js",
+      "src/row.js",
+      "src/seat.js",
+      "tools/build.js",
+      "tools/run.js",
+    ]);
+    // The src cycle takes three imports, the tools one two
+    expect(await lintImportCycles({ maxDepth: 1 })).toStrictEqual([
+      "tools/build.js",
+      "tools/run.js",
+    ]);
+  });
+
+  test("checks only the given files", async () => {
+    expect(await lintImportCycles({ files: ["src/**"] })).toStrictEqual([
+      "src/booking.js",
+      "src/row.js",
+      "src/seat.js",
+    ]);
+  });
+
+  test("prints each cycle with the imports between its files", async () => {
+    const result = await runCycles({ cwd: projectDirectory, log });
+
+    expect(result).toStrictEqual({
+      cycles: [
+        ["src/booking.js", "src/row.js", "src/seat.js"],
+        ["tools/build.js", "tools/run.js"],
+      ],
+      isSuccessful: false,
+    });
+    expect(logLines).toStrictEqual([
+      [
+        "Import cycle 1 of 2 (3 files):",
+        "  src/booking.js → src/seat.js",
+        "  src/row.js → src/booking.js",
+        "  src/seat.js → src/row.js",
+        "",
+        "Import cycle 2 of 2 (2 files):",
+        "  tools/build.js → tools/run.js",
+        "  tools/run.js → tools/build.js",
+      ].join("\n"),
+    ]);
+  });
+
+  test("ignores type-only imports", async () => {
+    // types/row.ts and types/venue.ts import values, so only they form a cycle
+    const typescriptEslintPath = import.meta.resolve("typescript-eslint");
+
+    writeProjectFiles({
+      "eslint.config.js": `import { parser } from "${typescriptEslintPath}";\n\nexport default [{ files: ["**/*.ts"], languageOptions: { parser } }];\n`,
+      "types/booking.ts":
+        'import type { Seat } from "./seat";\n\nexport type Booking = { seat: Seat };\n',
+      "types/row.ts":
+        'import { venueName } from "./venue";\n\nexport const rowName = (): string => venueName;\n',
+      "types/seat.ts":
+        'import { type Booking } from "./booking";\n\nexport type Seat = { bookings: Booking[] };\n',
+      "types/venue.ts":
+        'import { rowName } from "./row";\n\nexport const venueName = (): string => rowName();\n',
+    });
+
+    const result = await runCycles({
+      cwd: projectDirectory,
+      log,
+      patterns: ["types"],
+    });
+
+    expect(result.cycles).toStrictEqual([["types/row.ts", "types/venue.ts"]]);
+  });
+});
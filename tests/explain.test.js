@@ -0,0 +1,140 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { runExplain } from "../cli/explain.js";
+import { explainRules } from "../configuration/explain.js";
+import { explainEslintConfig, generateEslintConfig } from "../eslint.config.js";
+
+describe("explainRules", () => {
+  const configs = [
+    { name: "base", rules: { "no-debugger": 2, "no-var": 2 } },
+    { files: ["src/**"], rules: { "no-console": [1, { allow: ["info"] }] } },
+    { files: ["tests/**"], name: "tests", rules: { "no-var": 0 } },
+    { ignores: ["dist/**"], name: "ignored" },
+  ];
+
+  test("names the config object that last set each rule", async () => {
+    expect(
+      await explainRules(configs, { cwd: "/project", filePath: "src/app.js" }),
+    ).toStrictEqual([
+      {
+        configName: "config #1",
+        options: [{ allow: ["info"] }],
+        ruleId: "no-console",
+        severity: 1,
+      },
+      { configName: "base", options: [], ruleId: "no-debugger", severity: 2 },
+      { configName: "base", options: [], ruleId: "no-var", severity: 2 },
+    ]);
+    expect(
+      await explainRules(configs, {
+        cwd: "/project",
+        filePath: "tests/app.test.js",
+      }),
+    ).toContainEqual({
+      configName: "tests",
+      options: [],
+      ruleId: "no-var",
+      severity: 0,
+    });
+  });
+
+  test("throws for an ignored file", async () => {
+    await expect(
+      explainRules(configs, { cwd: "/project", filePath: "dist/app.js" }),
+    ).rejects.toThrow(
+      "No config applies to dist/app.js: it is ignored or matches no `files` pattern.",
+    );
+  });
+});
+
+describe("explainEslintConfig", () => {
+  test("names every config object", () => {
+    const configs = generateEslintConfig({
+      appType: "fullstack",
+      overrides: { react: { "react/jsx-key": 1 } },
+      shouldEnableStorybook: true,
+    });
+
+    expect(configs.filter(({ name }) => name === undefined)).toStrictEqual([]);
+    expect(configs.map(({ name }) => name)).toContain(
+      "uba/storybook (storybook:recommended:setup)",
+    );
+  });
+
+  test("shows which feature turned a rule off, and which override set it", async () => {
+    const explanations = await explainEslintConfig("src/app.tsx", {
+      appType: "fullstack",
+      overrides: { react: { "react/jsx-key": 1 } },
+    });
+
+    expect(
+      explanations.find(
+        ({ ruleId }) =>
+          ruleId === "@typescript-eslint/explicit-module-boundary-types",
+      ),
+    ).toMatchObject({ configName: "uba/react", severity: 0 });
+    expect(
+      explanations.find(({ ruleId }) => ruleId === "react/jsx-key"),
+    ).toMatchObject({ configName: "uba/overrides/react", severity: 1 });
+  });
+});
+
+describe("runExplain", () => {
+  let projectDirectory = "";
+  let logLines = [];
+
+  /**
+   * @param {string} line
+   */
+  function log(line) {
+    logLines.push(line);
+  }
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(
+      join(tmpdir(), "uba-eslint-config-explain-"),
+    );
+    logLines = [];
+    mkdirSync(join(projectDirectory, "src"));
+    writeFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      'export default [{ name: "base", rules: { "no-var": 2, "prefer-const": 0 } }, { files: ["src/**"], name: "src", rules: { "no-console": [1, { allow: ["info"] }] } }];\n',
+    );
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("prints the active rules with the project's config", async () => {
+    const result = await runExplain({
+      cwd: join(projectDirectory, "src"),
+      filePath: "app.js",
+      log,
+    });
+
+    expect(result.isSuccessful).toBe(true);
+    expect(logLines).toStrictEqual([
+      [
+        "2 rules for app.js from ../eslint.config.js:",
+        "",
+        'warn   no-console  src   [{"allow":["info"]}]',
+        "error  no-var      base",
+      ].join("\n"),
+    ]);
+  });
+
+  test("prints the rules turned off too when asked", async () => {
+    await runExplain({
+      cwd: projectDirectory,
+      filePath: "src/app.js",
+      log,
+      shouldIncludeOffRules: true,
+    });
+
+    expect(logLines.join("\n")).toContain("off    prefer-const  base");
+  });
+});
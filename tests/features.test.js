@@ -0,0 +1,205 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { detectFeatures } from "../configuration/features.js";
+import { generateEslintConfig } from "../eslint.config.js";
+import { generatePrettierConfig } from "../prettier.config.js";
+
+describe("detectFeatures", () => {
+  let projectDirectory = "";
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-"));
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("enables features whose dependency is listed, and explains why", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({
+        dependencies: { "@tanstack/react-query": "^5.0.0", react: "^19.0.0" },
+        devDependencies: { typescript: "^5.0.0" },
+      }),
+    );
+
+    const { detections, options } = detectFeatures({
+      rootDir: projectDirectory,
+    });
+
+    expect(options).toMatchObject({
+      shouldEnableA11y: true,
+      shouldEnableBrowserGlobals: true,
+      shouldEnableCypress: false,
+      shouldEnableNode: false,
+      shouldEnableQuery: true,
+      shouldEnableReact: true,
+      shouldEnableTypescript: true,
+    });
+    expect(detections).toContainEqual({
+      feature: "Query",
+      isEnabled: true,
+      reason: 'depends on "@tanstack/react-query"',
+    });
+  });
+
+  test("enables features whose config file sits next to the package.json", () => {
+    writeFileSync(join(projectDirectory, "package.json"), "{}");
+    writeFileSync(join(projectDirectory, "cypress.config.ts"), "");
+    writeFileSync(join(projectDirectory, "playwright.config.ts"), "");
+    mkdirSync(join(projectDirectory, ".storybook"));
+
+    const { options } = detectFeatures({ rootDir: projectDirectory });
+
+    expect(options).toMatchObject({
+      shouldEnableCypress: true,
+      shouldEnablePlaywright: true,
+      shouldEnableReact: false,
+      shouldEnableStorybook: true,
+      shouldEnableTypescript: false,
+    });
+  });
+
+  test("enables the browser-facing features for a Solid app", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({ dependencies: { "@solidjs/start": "^1.0.0" } }),
+    );
+
+    const { detections, options } = detectFeatures({
+      rootDir: projectDirectory,
+    });
+
+    expect(options).toMatchObject({
+      shouldEnableA11y: true,
+      shouldEnableBrowserGlobals: true,
+      shouldEnableReact: false,
+      shouldEnableSolid: true,
+    });
+    expect(detections).toContainEqual({
+      feature: "Solid",
+      isEnabled: true,
+      reason: 'depends on "@solidjs/start"',
+    });
+  });
+
+  test("uses the nearest package.json above the starting directory", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({ devDependencies: { vitest: "^4.0.0" } }),
+    );
+    mkdirSync(join(projectDirectory, "src"));
+
+    const { options, packageJsonPath } = detectFeatures({
+      rootDir: join(projectDirectory, "src"),
+    });
+
+    expect(packageJsonPath).toBe(join(projectDirectory, "package.json"));
+    expect(options.shouldEnableVitest).toBe(true);
+  });
+});
+
+describe("generateEslintConfig with appType auto", () => {
+  let projectDirectory = "";
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-"));
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("checks Node.js APIs without a UI framework, exempting nodeEntryPoints from n/no-process-exit", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({ dependencies: { fastify: "^5.0.0" } }),
+    );
+
+    const config = generateEslintConfig({
+      appType: "auto",
+      nodeEntryPoints: ["src/worker.js"],
+      rootDir: projectDirectory,
+    });
+
+    expect(
+      config.flatMap((configObject) => Object.keys(configObject.plugins ?? {})),
+    ).toContain("n");
+    expect(config).toContainEqual(
+      expect.objectContaining({
+        files: ["src/worker.js"],
+        rules: { "n/no-process-exit": 0 },
+      }),
+    );
+  });
+
+  test("lets explicit flags override detection", () => {
+    const config = generateEslintConfig({
+      appType: "auto",
+      shouldEnableStorybook: false,
+      shouldEnableTailwind: false,
+    });
+    const pluginNames = config.flatMap((configObject) =>
+      Object.keys(configObject.plugins ?? {}),
+    );
+
+    expect(pluginNames).toContain("@typescript-eslint");
+    expect(pluginNames).not.toContain("storybook");
+    expect(pluginNames).not.toContain("tailwindcss");
+  });
+});
+
+describe("generateEslintConfig with appType fullstack", () => {
+  let projectDirectory = "";
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-"));
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  /**
+   * @param {import("../eslint.config.js").EslintConfigOptions} options
+   * @returns {Record<string, unknown> | undefined} Settings of the Tailwind plugin, if it is enabled
+   */
+  function findTailwindSettings(options) {
+    return generateEslintConfig({ rootDir: projectDirectory, ...options }).find(
+      (configObject) => configObject.plugins?.tailwindcss,
+    )?.settings.tailwindcss;
+  }
+
+  test("leaves Tailwind off for a project that does not depend on tailwindcss", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({ dependencies: { react: "^19.0.0" } }),
+    );
+
+    expect(findTailwindSettings({ appType: "fullstack" })).toBeUndefined();
+    expect(findTailwindSettings({ appType: "solid" })).toBeUndefined();
+  });
+
+  test("detects the Tailwind entry point in rootDir", () => {
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({ devDependencies: { tailwindcss: "^4.0.0" } }),
+    );
+    mkdirSync(join(projectDirectory, "src"));
+    writeFileSync(
+      join(projectDirectory, "src/styles.css"),
+      '@import "tailwindcss";\n',
+    );
+
+    expect(findTailwindSettings({ appType: "fullstack" })).toMatchObject({
+      cssConfigPath: join(projectDirectory, "src/styles.css"),
+    });
+    expect(generatePrettierConfig({ rootDir: projectDirectory })).toMatchObject(
+      { tailwindStylesheet: join(projectDirectory, "src/styles.css") },
+    );
+  });
+});
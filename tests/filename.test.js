@@ -0,0 +1,160 @@
+import { Linter } from "eslint";
+import { join } from "node:path";
+import { describe, expect, test } from "vitest";
+
+import { getFilenameConfig } from "../configuration/filename.js";
+
+const projectDirectory = "/project";
+
+/**
+ * @param {string} filePath - Relative to the project directory
+ * @param {Object} [options]
+ * @param {string} [options.code=""]
+ * @param {import("../configuration/filename.js").NamingConventions} [options.namingConventions]
+ * @returns {string[]} IDs of the rules reporting the file
+ */
+function lintFile(filePath, { code = "", namingConventions } = {}) {
+  const linter = new Linter({ cwd: projectDirectory });
+
+  return linter
+    .verify(
+      code,
+      getFilenameConfig(namingConventions),
+      join(projectDirectory, filePath),
+    )
+    .map(({ message, ruleId }) => ruleId ?? message);
+}
+
+describe("getFilenameConfig", () => {
+  test.each([
+    "src/components/SeatMap.tsx",
+    "src/components/SeatMap.test.tsx",
+    "src/components/SeatMap.stories.tsx",
+    "src/components/SeatMap.spec.tsx",
+    "src/components/SeatMap/SeatMap.tsx",
+    "src/components/SeatMap/__tests__/SeatMap.test.tsx",
+    "src/components/useSeatMap.ts",
+    "src/hooks/useSeats.ts",
+    "src/hooks/useSeats.test.ts",
+    "src/hooks/__mocks__/useSeats.ts",
+    "src/order-items/list-order-items.ts",
+    "src/routes/__root.tsx",
+    "src/routes/index.tsx",
+    "src/routes/posts.$postId.edit.tsx",
+    "src/routes/posts_.$postId.tsx",
+    "src/routes/_auth/login.tsx",
+    "src/routes/(marketing)/about-us.tsx",
+    "src/routes/posts/$postId.tsx",
+    "src/routes/files/$.tsx",
+    "src/routes/posts/-components/PostCard.tsx",
+    "scripts/buildIcons.js",
+  ])("accepts %s", (filePath) => {
+    expect(lintFile(filePath)).toStrictEqual([]);
+  });
+
+  test.each([
+    ["src/components/seat-map.tsx", "check-file/filename-naming-convention"],
+    [
+      "src/components/seatMap.stories.tsx",
+      "check-file/filename-naming-convention",
+    ],
+    ["src/hooks/useSeat-list.ts", "check-file/filename-naming-convention"],
+    ["src/components/SeatMap.story.tsx", "check-file/filename-blocklist"],
+    [
+      "src/orderItems/list-order-items.ts",
+      "check-file/folder-naming-convention",
+    ],
+    ["src/__Mocks__/seats.ts", "check-file/folder-naming-convention"],
+    ["src/routes/Posts.tsx", "check-file/filename-naming-convention"],
+    ["src/routes/postList/index.tsx", "check-file/folder-naming-convention"],
+  ])("reports %s", (filePath, ruleId) => {
+    expect(lintFile(filePath)).toStrictEqual([ruleId]);
+  });
+
+  test("allows index files under src only as barrels, except the entry point and routes", () => {
+    const code = "export const seatCount = 3;";
+
+    expect(lintFile("src/seats/index.ts", { code })).toStrictEqual([
+      "uba/index-only-reexports",
+    ]);
+    expect(
+      lintFile("src/seats/index.ts", {
+        code: 'export { seatCount } from "./seat-count.js";',
+      }),
+    ).toStrictEqual([]);
+    expect(lintFile("src/routes/index.tsx", { code })).toStrictEqual([]);
+    expect(lintFile("src/index.tsx", { code })).toStrictEqual([]);
+    expect(lintFile("index.js", { code })).toStrictEqual([]);
+  });
+
+  test("merges project conventions over the defaults", () => {
+    const namingConventions = {
+      filenames: {
+        "src/components/**/!(index|use[A-Z]*).{jsx,tsx}": null,
+        "src/utils/*": "KEBAB_CASE",
+      },
+      folders: { "src/**/": "CAMEL_CASE" },
+      routeDirectories: [],
+      shouldRestrictIndexToBarrels: false,
+    };
+
+    expect(
+      lintFile("src/components/seat-map.tsx", { namingConventions }),
+    ).toStrictEqual([]);
+    expect(
+      lintFile("src/orderItems/list-order-items.ts", { namingConventions }),
+    ).toStrictEqual([]);
+    expect(
+      lintFile("src/utils/formatPrice.ts", { namingConventions }),
+    ).toStrictEqual(["check-file/filename-naming-convention"]);
+    // Hooks keep their default convention
+    expect(
+      lintFile("src/hooks/useSeat-list.ts", { namingConventions }),
+    ).toStrictEqual(["check-file/filename-naming-convention"]);
+    expect(
+      lintFile("src/routes/Posts.tsx", { namingConventions }),
+    ).toStrictEqual([]);
+    expect(
+      lintFile("src/seats/index.ts", {
+        code: "export const seatCount = 3;",
+        namingConventions,
+      }),
+    ).toStrictEqual([]);
+  });
+
+  test("names routes the SolidStart way with routeConvention: solidStart", () => {
+    const namingConventions = { routeConvention: "solidStart" };
+
+    for (const filePath of [
+      "src/routes/index.tsx",
+      "src/routes/[...404].tsx",
+      "src/routes/(marketing)/about-us.tsx",
+      "src/routes/blog/(blog).tsx",
+      "src/routes/docs/[...slug].tsx",
+      "src/routes/posts/[[page]].tsx",
+      "src/routes/users/[userId]/edit.tsx",
+      "src/routes/api/[id].ts",
+    ]) {
+      expect(lintFile(filePath, { namingConventions })).toStrictEqual([]);
+    }
+
+    expect(
+      lintFile("src/routes/posts.$postId.tsx", { namingConventions }),
+    ).toStrictEqual(["check-file/filename-naming-convention"]);
+    expect(
+      lintFile("src/routes/[post-id].tsx", { namingConventions }),
+    ).toStrictEqual(["check-file/filename-naming-convention"]);
+    expect(
+      lintFile("src/routes/-components/PostCard.tsx", { namingConventions }),
+    ).toStrictEqual([
+      "check-file/filename-naming-convention",
+      "check-file/folder-naming-convention",
+    ]);
+  });
+
+  test("throws for an unknown route convention", () => {
+    expect(() => getFilenameConfig({ routeConvention: "nextjs" })).toThrow(
+      "Invalid route convention: nextjs",
+    );
+  });
+});
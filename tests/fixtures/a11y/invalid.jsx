@@ -0,0 +1,9 @@
+function renderAvatar({ handleSelect, url }) {
+  return (
+    <div onClick={handleSelect}>
+      <img src={url} />
+    </div>
+  );
+}
+
+export default renderAvatar;
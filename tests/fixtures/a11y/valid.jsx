@@ -0,0 +1,5 @@
+function renderAvatar({ name, url }) {
+  return <img alt={name} src={url} />;
+}
+
+export default renderAvatar;
@@ -0,0 +1,7 @@
+import formatPrice from "../utils/valid-format-price.js";
+
+function formatOrderTotal(order) {
+  return formatPrice(order.totalGBP);
+}
+
+export default formatOrderTotal;
@@ -0,0 +1,7 @@
+import formatPrice from "../../../utils/valid-format-price.js";
+
+function formatOrderRow(order) {
+  return `${order.id}: ${formatPrice(order.totalGBP)}`;
+}
+
+export default formatOrderRow;
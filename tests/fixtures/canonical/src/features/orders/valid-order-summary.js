@@ -0,0 +1,7 @@
+import formatOrderRow from "./list/invalid-order-row.js";
+
+function formatOrderSummary(orders) {
+  return orders.map((order) => formatOrderRow(order)).join("\n");
+}
+
+export default formatOrderSummary;
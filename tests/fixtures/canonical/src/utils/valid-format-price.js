@@ -0,0 +1,5 @@
+function formatPrice(amountGBP) {
+  return `£${amountGBP.toFixed(2)}`;
+}
+
+export default formatPrice;
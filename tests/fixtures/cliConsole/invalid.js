@@ -0,0 +1,5 @@
+function printSummary(fileNames) {
+  console.table(fileNames);
+}
+
+export default printSummary;
@@ -0,0 +1,13 @@
+const requestTimeout = 5000;
+
+function bookSeat(seatId, userId, priceGBP, isVip) {
+  return { isVip, priceGBP, seatId, userId };
+}
+
+function sortSeats(options, seats) {
+  return seats.sort((first, second) =>
+    options.isDescending ? second.row - first.row : first.row - second.row,
+  );
+}
+
+export { bookSeat, requestTimeout, sortSeats };
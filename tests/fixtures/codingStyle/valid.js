@@ -0,0 +1,13 @@
+const requestTimeoutMs = 5000;
+
+function bookSeat({ isVip, priceGBP, seatId, userId }) {
+  return { isVip, priceGBP, seatId, userId };
+}
+
+function sortSeats(seats, options) {
+  return seats.toSorted((first, second) =>
+    options.isDescending ? second.row - first.row : first.row - second.row,
+  );
+}
+
+export { bookSeat, requestTimeoutMs, sortSeats };
@@ -0,0 +1,18 @@
+// Minimal stand-in for the `cypress` package types so type-aware rules can resolve `cy`
+declare namespace Cypress {
+  interface Chainable {
+    click: (options?: { force?: boolean }) => Chainable;
+    should: (chainer: string) => Chainable;
+  }
+}
+
+declare const cy: {
+  contains: (text: string) => Cypress.Chainable;
+  get: (selector: string) => Cypress.Chainable;
+  visit: (url: string) => void;
+  wait: (durationMs: number) => void;
+};
+
+declare function describe(name: string, callback: () => void): void;
+
+declare function it(name: string, callback: () => Promise<void> | void): void;
@@ -0,0 +1,8 @@
+describe("checkout", () => {
+  it("submits the order", async () => {
+    cy.visit("/checkout");
+    cy.wait(500);
+    const button = cy.get("[data-test=submit]");
+    button.click({ force: true });
+  });
+});
@@ -0,0 +1,7 @@
+describe("checkout", () => {
+  it("submits the order", () => {
+    cy.visit("/checkout");
+    cy.get("[data-test=submit]").click();
+    cy.contains("Order placed").should("be.visible");
+  });
+});
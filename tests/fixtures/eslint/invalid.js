@@ -0,0 +1,11 @@
+function describeCount(count, label) {
+  var suffix = count == 1 ? "" : count > 10 ? "s!" : "s";
+
+  for (let index = 0; index < count; index++) {
+    console.log(index);
+  }
+
+  return label + " " + count + suffix;
+}
+
+export default describeCount;
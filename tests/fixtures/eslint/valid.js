@@ -0,0 +1,11 @@
+function calculateTotal(prices, taxRate) {
+  let total = 0;
+
+  for (const price of prices) {
+    total += price;
+  }
+
+  return total * (1 + taxRate);
+}
+
+export default calculateTotal;
@@ -0,0 +1,5 @@
+function listOrderItems(order) {
+  return order.items;
+}
+
+export default listOrderItems;
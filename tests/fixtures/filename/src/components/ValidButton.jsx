@@ -0,0 +1,5 @@
+function ValidButton() {
+  return <button type="button">Save</button>;
+}
+
+export default ValidButton;
@@ -0,0 +1,5 @@
+function InvalidButton() {
+  return <button type="button">Save</button>;
+}
+
+export default InvalidButton;
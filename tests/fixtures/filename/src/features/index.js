@@ -0,0 +1,5 @@
+function listFeatures() {
+  return ["orders"];
+}
+
+export default listFeatures;
@@ -0,0 +1,3 @@
+const featureNames = ["orders"];
+
+export default featureNames;
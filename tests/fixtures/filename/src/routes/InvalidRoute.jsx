@@ -0,0 +1,5 @@
+function InvalidRoute() {
+  return <main>Orders</main>;
+}
+
+export default InvalidRoute;
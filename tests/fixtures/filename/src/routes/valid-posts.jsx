@@ -0,0 +1,5 @@
+function PostsRoute() {
+  return <main>Posts</main>;
+}
+
+export default PostsRoute;
@@ -0,0 +1,5 @@
+function seatReservation(seats, seatId) {
+  return seats.filter((seat) => seat.id !== seatId);
+}
+
+export default seatReservation;
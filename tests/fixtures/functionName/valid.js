@@ -0,0 +1,5 @@
+function reserveSeat(seats, seatId) {
+  return seats.filter((seat) => seat.id !== seatId);
+}
+
+export default reserveSeat;
@@ -0,0 +1,9 @@
+const orderQuery = /* GraphQL */ `
+  query Order($id: ID!) {
+    order(id: $id) {
+      lines(first: 5)
+    }
+  }
+`;
+
+export default orderQuery;
@@ -0,0 +1,9 @@
+const ordersQuery = /* GraphQL */ `
+  query {
+    orders {
+      id
+    }
+  }
+`;
+
+export default ordersQuery;
@@ -0,0 +1,7 @@
+import { join } from "node:path";
+import { dirname } from "node:path";
+import missingHelper from "./missing-helper.js";
+
+export function resolveOutputPath(rootDir, fileName) {
+  return missingHelper(join(dirname(rootDir), fileName));
+}
@@ -0,0 +1,7 @@
+import { join } from "node:path";
+
+function resolveOutputPath(rootDir, fileName) {
+  return join(rootDir, "dist", fileName);
+}
+
+export default resolveOutputPath;
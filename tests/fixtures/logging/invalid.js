@@ -0,0 +1,9 @@
+import logger from "./validLogger.js";
+
+function logSignIn(userId, password) {
+  logger.info(`User ${userId} signed in`);
+  logger.debug({ password, userId }, "Sign in attempt");
+  logger.error({ userId }, "Wrong password");
+}
+
+export default logSignIn;
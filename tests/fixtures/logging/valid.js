@@ -0,0 +1,16 @@
+import logger from "./validLogger.js";
+
+async function chargeCustomer(customerId, amountGBP) {
+  try {
+    logger.info({ amountGBP, customerId }, "Charging customer");
+    await logger.flush();
+  } catch (error) {
+    logger.error({ customerId, err: error }, "Charge failed");
+  }
+}
+
+function logDeclinedCard(customerId) {
+  logger.info({ customerId }, "Card declined");
+}
+
+export { chargeCustomer, logDeclinedCard };
@@ -0,0 +1,8 @@
+const logger = {
+  debug: () => {},
+  error: () => {},
+  flush: () => Promise.resolve(),
+  info: () => {},
+};
+
+export default logger;
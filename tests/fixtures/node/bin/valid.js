@@ -0,0 +1,7 @@
+import { readFileSync } from "node:fs";
+
+const settings = JSON.parse(readFileSync("settings.json", "utf8"));
+
+if (!settings.port) {
+  process.exit(1);
+}
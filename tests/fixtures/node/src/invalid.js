@@ -0,0 +1,14 @@
+import { readFileSync } from "node:fs";
+import { parse } from "node:url";
+import { styleText } from "node:util";
+import { expect } from "vitest";
+
+export function readSettings(path) {
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+export function stopServer(address) {
+  expect(parse(address).port).toBeDefined();
+  process.stdout.write(styleText("red", "Stopping"));
+  process.exit(1);
+}
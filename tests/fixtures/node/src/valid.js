@@ -0,0 +1,9 @@
+import { readFile } from "node:fs/promises";
+
+export async function readSettings(path) {
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+export function stopServer(server) {
+  server.close();
+}
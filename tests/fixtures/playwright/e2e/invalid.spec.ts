@@ -0,0 +1,10 @@
+import { expect, test } from "@playwright/test";
+
+test.describe("checkout", () => {
+  test.only("submits the order", async ({ page }) => {
+    await page.goto("/checkout");
+    await page.waitForTimeout(500);
+    await page.getByRole("button", { name: "Submit" }).click();
+    expect(page.getByRole("status")).toBeVisible();
+  });
+});
@@ -0,0 +1,9 @@
+import { expect, test } from "@playwright/test";
+
+test.describe("checkout", () => {
+  test("submits the order", async ({ page }) => {
+    await page.goto("/checkout");
+    await page.getByRole("button", { name: "Submit" }).click();
+    await expect(page.getByRole("status")).toBeVisible();
+  });
+});
@@ -0,0 +1,9 @@
+function fetchUserName(fetchUser, userId) {
+  return new Promise((resolve) => {
+    fetchUser(userId).then((user) => {
+      resolve(user.name);
+    });
+  });
+}
+
+export default fetchUserName;
@@ -0,0 +1,7 @@
+async function fetchUserName(fetchUser, userId) {
+  const user = await fetchUser(userId);
+
+  return user.name;
+}
+
+export default fetchUserName;
@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+
+function useOrder(fetchOrder, orderId) {
+  const { data, ...rest } = useQuery({
+    queryFn: () => fetchOrder(orderId),
+    queryKey: ["order"],
+  });
+
+  return { order: data, rest };
+}
+
+export default useOrder;
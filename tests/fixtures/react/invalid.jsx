@@ -0,0 +1,12 @@
+function ItemList(props) {
+  return (
+    <ul>
+      {props.items.map((item) => (
+        <li>{item}</li>
+      ))}
+      <button onClick={props.onClear}>Clear</button>
+    </ul>
+  );
+}
+
+export default ItemList;
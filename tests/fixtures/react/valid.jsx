@@ -0,0 +1,13 @@
+function Greeting() {
+  const greetings = ["Hello", "Hi"];
+
+  return (
+    <ul>
+      {greetings.map((greeting) => (
+        <li key={greeting}>{greeting}</li>
+      ))}
+    </ul>
+  );
+}
+
+export default Greeting;
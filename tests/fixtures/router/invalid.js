@@ -0,0 +1,9 @@
+import { createFileRoute } from "@tanstack/react-router";
+
+const Route = createFileRoute("/orders")({
+  component: () => null,
+  loader: ({ context }) => context.fetchOrders(),
+  beforeLoad: () => ({ fetchOrders: () => [] }),
+});
+
+export default Route;
@@ -0,0 +1,14 @@
+import { readFileSync } from "node:fs";
+
+// `join()` and `normalize()` of arrays and strings are not the path module's
+export function readReceipt(query) {
+  return readFileSync(query.file.normalize(), "utf8");
+}
+
+export function readUpload(query) {
+  return readFileSync(query.parts.join("/"), "utf8");
+}
+
+export function showTags(element, tags) {
+  element.innerHTML = tags.join("");
+}
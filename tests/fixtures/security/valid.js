@@ -0,0 +1,15 @@
+import { execFile } from "node:child_process";
+
+const stripeKey = process.env.STRIPE_KEY;
+
+export function isBookingCode(value) {
+  return /^[\dA-Z]+(?:-[\dA-Z]+)*$/u.test(value) && value !== stripeKey;
+}
+
+export function saveBookings(bookingId) {
+  execFile("tar", ["-czf", "bookings.tgz", `bookings/${bookingId}`]);
+}
+
+export function showBooking(element, booking) {
+  element.textContent = booking.title;
+}
@@ -0,0 +1,16 @@
+function Counter(props) {
+  const count = props.count;
+
+  return <span>{count}</span>;
+}
+
+function SearchField({ label }) {
+  return (
+    <label className="search-field">
+      {label}
+      <input type="search" />
+    </label>
+  );
+}
+
+export { Counter, SearchField };
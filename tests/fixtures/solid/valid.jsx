@@ -0,0 +1,10 @@
+function SearchField(props) {
+  return (
+    <form class="search-field">
+      <label for="query">Search</label>
+      <input id="query" onInput={(event) => props.onSearch(event.target.value)} type="search" />
+    </form>
+  );
+}
+
+export default SearchField;
@@ -0,0 +1,7 @@
+function Badge() {
+  return <span>New</span>;
+}
+
+export const primary = {};
+
+export default { component: Badge };
@@ -0,0 +1,9 @@
+function Badge() {
+  return <span>New</span>;
+}
+
+const meta = { component: Badge, title: "Badge" };
+
+export const Primary = {};
+
+export default meta;
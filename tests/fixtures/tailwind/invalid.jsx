@@ -0,0 +1,5 @@
+function renderBadge({ label }) {
+  return <span className="py-1 px-2 p-2 p-4 rounded">{label}</span>;
+}
+
+export default renderBadge;
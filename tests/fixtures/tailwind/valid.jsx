@@ -0,0 +1,5 @@
+function renderBadge({ label }) {
+  return <span className="rounded bg-green-500 px-2 py-1">{label}</span>;
+}
+
+export default renderBadge;
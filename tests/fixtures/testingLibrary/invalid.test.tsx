@@ -0,0 +1,13 @@
+import { expect, test } from "vitest";
+
+import { fireEvent, render, screen } from "./testing";
+
+test("accepts the terms", () => {
+  const { container } = render("terms");
+  const checkbox = screen.getByRole("checkbox");
+
+  fireEvent.click(checkbox);
+
+  expect(checkbox.checked).toBe(true);
+  expect(container.querySelector("[role=alert]")).toBeNull();
+});
@@ -0,0 +1,26 @@
+// Minimal stand-in for the `@testing-library/react`, `@testing-library/user-event` and `jest-dom` types, so type-aware rules can resolve them
+import "vitest";
+
+declare module "vitest" {
+  interface Assertion {
+    toBeChecked: () => void;
+  }
+}
+
+export interface TestElement {
+  checked: boolean;
+}
+
+export declare const fireEvent: { click: (element: TestElement) => void };
+
+export declare function render(text: string): {
+  container: { querySelector: (selector: string) => TestElement | null };
+};
+
+export declare const screen: {
+  getByRole: (role: string, options?: { name?: string }) => TestElement;
+};
+
+export declare const userEvent: {
+  click: (element: TestElement) => Promise<void>;
+};
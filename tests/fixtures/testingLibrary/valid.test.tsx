@@ -0,0 +1,11 @@
+import { expect, test } from "vitest";
+
+import { render, screen, userEvent } from "./testing";
+
+test("accepts the terms", async () => {
+  render("terms");
+
+  await userEvent.click(screen.getByRole("checkbox", { name: "Terms" }));
+
+  expect(screen.getByRole("checkbox", { name: "Terms" })).toBeChecked();
+});
@@ -0,0 +1,20 @@
+type Invoice = {
+  amount: any;
+  paid: boolean;
+};
+
+async function fetchInvoice(): Promise<Invoice> {
+  return { amount: 1, paid: false };
+}
+
+function readInvoiceAmount(invoice: Invoice | undefined): string[] {
+  fetchInvoice();
+
+  if (invoice) {
+    return [invoice!.amount];
+  }
+
+  return [];
+}
+
+export default readInvoiceAmount;
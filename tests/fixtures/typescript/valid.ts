@@ -0,0 +1,12 @@
+interface Invoice {
+  amountGBP: number;
+  isPaid: boolean;
+}
+
+function calculateOutstandingGBP(invoices: Array<Invoice>): number {
+  return invoices
+    .filter((invoice) => !invoice.isPaid)
+    .reduce((total, invoice) => total + invoice.amountGBP, 0);
+}
+
+export default calculateOutstandingGBP;
@@ -0,0 +1,19 @@
+import { readFileSync } from "fs";
+
+function readPackageNames(packagePaths) {
+  const names = [];
+
+  for (let index = 0; index < packagePaths.length; index += 1) {
+    const pkg = JSON.parse(readFileSync(packagePaths[index], "utf8"));
+
+    names.push(pkg.name.replace(/@/g, "").substr(1));
+  }
+
+  if (names.length === 0) {
+    throw Error("No packages found");
+  }
+
+  return names;
+}
+
+export default readPackageNames;
@@ -0,0 +1,9 @@
+import { readFile } from "node:fs/promises";
+
+async function readPackageName(packagePath) {
+  const packageJson = JSON.parse(await readFile(packagePath, "utf8"));
+
+  return packageJson.name.replaceAll("@", "").slice(1);
+}
+
+export default readPackageName;
@@ -0,0 +1,13 @@
+import { describe, expect, test } from "vitest";
+
+describe("sum", () => {
+  test("adds two numbers", () => {
+    expect(1 + 2).toBe(3);
+  });
+
+  test("adds two numbers", () => {});
+
+  test.only("subtracts", () => {
+    expect(3 - 2).toBe(1);
+  });
+});
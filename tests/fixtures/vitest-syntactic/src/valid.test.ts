@@ -0,0 +1,7 @@
+import { describe, expect, test } from "vitest";
+
+describe("sum", () => {
+  test("adds two numbers", () => {
+    expect(1 + 2).toBe(3);
+  });
+});
@@ -0,0 +1,76 @@
+import { Linter } from "eslint";
+import { describe, expect, test } from "vitest";
+
+import { getFunctionNameConfig } from "../configuration/functionName.js";
+
+/**
+ * @param {string} code
+ * @param {import("../configuration/functionName.js").VerbDictionary} [verbDictionary={}]
+ * @returns {string[]} Messages of `function-name/starts-with-verb`
+ */
+function lintCode(code, verbDictionary = {}) {
+  const linter = new Linter();
+
+  return linter
+    .verify(code, [
+      {
+        ...getFunctionNameConfig(verbDictionary),
+        languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+      },
+    ])
+    .map(({ message }) => message);
+}
+
+describe("getFunctionNameConfig", () => {
+  test("reports domain verbs the corpus does not know", () => {
+    expect(lintCode("function reconcileLedger() {}")).toStrictEqual([
+      'Function or method name should begin with a verb but "reconcile" is not.',
+    ]);
+  });
+
+  test("accepts extra verbs", () => {
+    expect(
+      lintCode("function reconcileLedger() {}", { extraVerbs: ["reconcile"] }),
+    ).toStrictEqual([]);
+  });
+
+  test.each([
+    ["react", "const prefetchSeats = () => {};"],
+    ["testing", "function mockSeatApi() {}"],
+    ["finance", "function refundOrder() {}"],
+    ["infra", "function provisionCluster() {}"],
+  ])("accepts the %s pack's verbs", (pack, code) => {
+    expect(lintCode(code)).toHaveLength(1);
+    expect(lintCode(code, { packs: [pack] })).toStrictEqual([]);
+  });
+
+  test("combines packs", () => {
+    expect(
+      lintCode("function mockSeatApi() {} function refundOrder() {}", {
+        packs: ["testing", "finance"],
+      }),
+    ).toStrictEqual([]);
+  });
+
+  test("leaves components, hooks and higher-order components to React's conventions when asked", () => {
+    const code =
+      "function useSeatMap() {} const SeatMap = () => <div />; const withSeatMap = (Component) => Component;";
+
+    expect(lintCode(code)).toStrictEqual([
+      'Function or method name should begin with a verb but "with" is not.',
+    ]);
+    expect(lintCode(code, { shouldSkipReactNames: true })).toStrictEqual([]);
+    // Only the React prefixes are skipped, not every name starting with them
+    expect(
+      lintCode("const withdrawnSeats = () => [];", {
+        shouldSkipReactNames: true,
+      }),
+    ).toHaveLength(1);
+  });
+
+  test("throws for an unknown pack", () => {
+    expect(() => getFunctionNameConfig({ packs: ["gaming"] })).toThrow(
+      'Unknown verb pack "gaming". Packs: finance, infra, react, testing.',
+    );
+  });
+});
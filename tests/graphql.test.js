@@ -0,0 +1,230 @@
+import { ESLint } from "eslint";
+import { execFileSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { getGraphqlConfig } from "../configuration/graphql.js";
+
+const rootDir = fileURLToPath(new URL("..", import.meta.url));
+
+const schema = `type Order {
+  id: ID!
+  totalGbp: Float!
+}
+
+type Query {
+  orders: [Order!]!
+}
+`;
+
+describe("getGraphqlConfig", () => {
+  let projectDirectory = "";
+
+  /**
+   * @param {string} filePath - Relative to the project directory
+   * @param {string} content
+   */
+  function writeProjectFile(filePath, content) {
+    const absolutePath = join(projectDirectory, filePath);
+
+    mkdirSync(dirname(absolutePath), { recursive: true });
+    writeFileSync(absolutePath, content);
+  }
+
+  /**
+   * @param {string} filePath - Relative to the project directory
+   * @param {import("../configuration/graphql.js").GraphqlOptions} options
+   * @returns {Promise<string[]>} Rule IDs reported for the file
+   */
+  async function lintProjectFile(filePath, options) {
+    const eslint = new ESLint({
+      cwd: projectDirectory,
+      overrideConfig: getGraphqlConfig({
+        rootDir: projectDirectory,
+        ...options,
+      }),
+      overrideConfigFile: true,
+    });
+    const [{ messages }] = await eslint.lintFiles([filePath]);
+
+    return messages.map(({ ruleId }) => ruleId);
+  }
+
+  /**
+   * @param {string} filePath - Relative to the project directory
+   * @param {import("../configuration/graphql.js").GraphqlOptions} options
+   * @returns {Promise<string[]>} Rule IDs on for the file
+   */
+  async function findEnabledRules(filePath, options) {
+    const eslint = new ESLint({
+      cwd: projectDirectory,
+      overrideConfig: getGraphqlConfig({
+        rootDir: projectDirectory,
+        ...options,
+      }),
+      overrideConfigFile: true,
+    });
+    const { rules } = await eslint.calculateConfigForFile(filePath);
+
+    return Object.entries(rules)
+      .filter(([, [severity]]) => severity > 0)
+      .map(([ruleId]) => ruleId);
+  }
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(
+      join(tmpdir(), "uba-eslint-config-graphql-"),
+    );
+    writeProjectFile("graphql/schema.graphql", schema);
+    writeProjectFile(
+      "src/orders.graphql",
+      "query Orders {\n  orders {\n    id\n    totalEur\n  }\n}\n",
+    );
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("reads the schema and documents from .graphqlrc", async () => {
+    writeProjectFile(
+      ".graphqlrc.yml",
+      "schema: graphql/schema.graphql\ndocuments: src/**/*.graphql\n",
+    );
+
+    expect(await lintProjectFile("src/orders.graphql", {})).toStrictEqual([
+      "@graphql-eslint/fields-on-correct-type",
+    ]);
+  });
+
+  test("lints schema files with the schema rules and operations with the operation rules", async () => {
+    const options = {
+      documents: "src/**/*.graphql",
+      schema: "graphql/schema.graphql",
+    };
+
+    expect(await findEnabledRules("graphql/schema.graphql", options)).toContain(
+      "@graphql-eslint/description-style",
+    );
+    expect(
+      await findEnabledRules("graphql/schema.graphql", options),
+    ).not.toContain("@graphql-eslint/executable-definitions");
+    expect(await findEnabledRules("src/orders.graphql", options)).toContain(
+      "@graphql-eslint/executable-definitions",
+    );
+    expect(await findEnabledRules("src/orders.graphql", options)).not.toContain(
+      "@graphql-eslint/description-style",
+    );
+  });
+
+  test("turns off the rules that need a schema or the other operations when there are none", async () => {
+    const enabledRules = await findEnabledRules("src/orders.graphql", {});
+
+    expect(enabledRules).toContain("@graphql-eslint/no-anonymous-operations");
+    expect(enabledRules).not.toContain(
+      "@graphql-eslint/fields-on-correct-type",
+    );
+    expect(enabledRules).not.toContain("@graphql-eslint/unique-operation-name");
+    expect(await lintProjectFile("src/orders.graphql", {})).toStrictEqual([]);
+  });
+
+  test("lints every GraphQL file as operations against an introspection snapshot", async () => {
+    const options = { schema: "graphql/schema.json" };
+
+    expect(await findEnabledRules("graphql/schema.graphql", options)).toContain(
+      "@graphql-eslint/fields-on-correct-type",
+    );
+    expect(
+      await findEnabledRules("graphql/schema.graphql", options),
+    ).not.toContain("@graphql-eslint/description-style");
+  });
+
+  test("validates operations against a code-first schema without parsing it as GraphQL", async () => {
+    const options = { documents: "src/**/*.graphql", schema: "src/schema.ts" };
+
+    writeProjectFile(
+      "src/schema.ts",
+      `export const typeDefs = /* GraphQL */ \`\n${schema}\`;\n`,
+    );
+
+    expect(await lintProjectFile("src/orders.graphql", options)).toStrictEqual([
+      "@graphql-eslint/fields-on-correct-type",
+    ]);
+    expect(
+      await new ESLint({
+        cwd: projectDirectory,
+        overrideConfig: getGraphqlConfig({
+          rootDir: projectDirectory,
+          ...options,
+        }),
+        overrideConfigFile: true,
+      }).calculateConfigForFile("src/schema.ts"),
+    ).toBeUndefined();
+  });
+
+  test("validates each project against its own schema in one process", () => {
+    for (const [packageName, totalField] of [
+      ["orders", "totalGbp"],
+      ["refunds", "totalEur"],
+    ]) {
+      writeProjectFile(
+        `packages/${packageName}/graphql/schema.graphql`,
+        schema.replace("totalGbp", totalField),
+      );
+      writeProjectFile(
+        `packages/${packageName}/src/orders.graphql`,
+        `query Orders {\n  orders {\n    id\n    ${totalField}\n  }\n}\n`,
+      );
+    }
+
+    // A fresh process, as @graphql-eslint only keeps its first graphql-config outside tests
+    const reportedRuleIds = JSON.parse(
+      execFileSync(
+        process.execPath,
+        [
+          "--input-type=module",
+          "--eval",
+          `
+            import { ESLint } from "eslint";
+            import { join } from "node:path";
+            import { getGraphqlConfig } from "./configuration/graphql.js";
+
+            const eslints = ["orders", "refunds"].map((packageName) => {
+              const packageDirectory = join(${JSON.stringify(projectDirectory)}, "packages", packageName);
+
+              return new ESLint({
+                cwd: packageDirectory,
+                overrideConfig: getGraphqlConfig({ documents: "src/**/*.graphql", rootDir: packageDirectory, schema: "graphql/schema.graphql" }),
+                overrideConfigFile: true,
+              });
+            });
+            const results = await Promise.all(eslints.map((eslint) => eslint.lintFiles(["src/orders.graphql"])));
+
+            console.log(JSON.stringify(results.map(([{ messages }]) => messages.map(({ ruleId }) => ruleId))));
+          `,
+        ],
+        {
+          cwd: rootDir,
+          encoding: "utf8",
+          env: { ...process.env, NODE_ENV: "production" },
+        },
+      ),
+    );
+
+    expect(reportedRuleIds).toStrictEqual([[], []]);
+  });
+
+  test("throws for a schema that would be fetched over the network", () => {
+    writeProjectFile(
+      ".graphqlrc.yml",
+      "schema: https://api.example.com/graphql\n",
+    );
+
+    expect(() => getGraphqlConfig({ rootDir: projectDirectory })).toThrow(
+      "Cannot lint against the remote GraphQL schema https://api.example.com/graphql: save an introspection snapshot of it, e.g. schema.json, and point the schema at that.",
+    );
+  });
+});
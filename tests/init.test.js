@@ -0,0 +1,201 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { runInit } from "../cli/init.js";
+
+describe("runInit", () => {
+  let projectDirectory = "";
+
+  beforeEach(() => {
+    projectDirectory = mkdtempSync(join(tmpdir(), "uba-eslint-config-init-"));
+    writeFileSync(
+      join(projectDirectory, "package.json"),
+      JSON.stringify({
+        dependencies: { react: "^19.0.0", tailwindcss: "^4.0.0" },
+        scripts: { lint: "eslint src" },
+      }),
+    );
+  });
+
+  afterEach(() => {
+    rmSync(projectDirectory, { force: true, recursive: true });
+  });
+
+  test("writes configs from detected features without asking when non-interactive", async () => {
+    const result = await runInit({
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+    const eslintConfigSource = readFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      "utf8",
+    );
+    const packageJson = JSON.parse(
+      readFileSync(join(projectDirectory, "package.json"), "utf8"),
+    );
+
+    expect(result.isSuccessful).toBe(true);
+    expect(eslintConfigSource).toContain("generateEslintConfigByFeatures({");
+    expect(eslintConfigSource).toContain("shouldEnableReact: true,");
+    expect(eslintConfigSource).toContain("shouldEnableTailwind: true,");
+    expect(
+      readFileSync(join(projectDirectory, "prettier.config.js"), "utf8"),
+    ).toContain('generatePrettierConfig({ appType: "fullstack" })');
+    // An existing script is kept unless --force is passed
+    expect(packageJson.scripts).toMatchObject({
+      format: "prettier --write .",
+      lint: "eslint src",
+    });
+    expect(result.writtenFiles).toStrictEqual([
+      "eslint.config.js",
+      "prettier.config.js",
+      "package.json",
+    ]);
+  });
+
+  test("does not report optional peer dependencies the project can resolve", async () => {
+    for (const dependencyName of ["eslint-plugin-tailwindcss", "tailwindcss"]) {
+      const packageDirectory = join(
+        projectDirectory,
+        "node_modules",
+        dependencyName,
+      );
+
+      mkdirSync(packageDirectory, { recursive: true });
+      writeFileSync(
+        join(packageDirectory, "package.json"),
+        JSON.stringify({ main: "index.js", name: dependencyName }),
+      );
+      writeFileSync(join(packageDirectory, "index.js"), "");
+    }
+
+    const { missingPeerDependencies } = await runInit({
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+
+    expect(missingPeerDependencies).toStrictEqual([]);
+  });
+
+  test("turns off browser features for a backend-only app", async () => {
+    await runInit({
+      appType: "backendOnly",
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+
+    const eslintConfigSource = readFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      "utf8",
+    );
+
+    expect(eslintConfigSource).toContain("shouldEnableReact: false,");
+    expect(eslintConfigSource).toContain("shouldEnableNode: true,");
+    expect(
+      readFileSync(join(projectDirectory, "prettier.config.js"), "utf8"),
+    ).toContain('generatePrettierConfig({ appType: "backendOnly" })');
+  });
+
+  test("allows console output for a CLI", async () => {
+    await runInit({
+      appType: "cli",
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+
+    const eslintConfigSource = readFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      "utf8",
+    );
+
+    expect(eslintConfigSource).toContain("shouldEnableCliConsole: true,");
+    expect(eslintConfigSource).toContain("shouldEnableReact: false,");
+  });
+
+  test("swaps React for Solid in a Solid app", async () => {
+    await runInit({
+      appType: "solid",
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+
+    const eslintConfigSource = readFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      "utf8",
+    );
+
+    expect(eslintConfigSource).toContain("shouldEnableReact: false,");
+    expect(eslintConfigSource).toContain("shouldEnableRouter: false,");
+    expect(
+      readFileSync(join(projectDirectory, "prettier.config.js"), "utf8"),
+    ).toContain('generatePrettierConfig({ appType: "solid" })');
+    expect(eslintConfigSource).toContain("shouldEnableSolid: true,");
+  });
+
+  test("asks for the app type and each feature when interactive", async () => {
+    const answers = ["backendOnly", "n"];
+    const questions = [];
+
+    await runInit({
+      ask: (question) => {
+        questions.push(question);
+
+        return Promise.resolve(answers.shift() ?? "");
+      },
+      cwd: projectDirectory,
+      log: () => {},
+    });
+
+    expect(questions[0]).toBe(
+      "App type (fullstack/solid/backendOnly/cli) [fullstack]: ",
+    );
+    expect(questions[1]).toBe("Enable Typescript? [y/N]: ");
+    expect(
+      readFileSync(join(projectDirectory, "eslint.config.js"), "utf8"),
+    ).toContain("shouldEnableTypescript: false,");
+  });
+
+  test("refuses to overwrite existing config files unless forced", async () => {
+    writeFileSync(
+      join(projectDirectory, "eslint.config.js"),
+      "export default [];\n",
+    );
+
+    const refusedResult = await runInit({
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+    });
+
+    expect(refusedResult.isSuccessful).toBe(false);
+    expect(existsSync(join(projectDirectory, "prettier.config.js"))).toBe(
+      false,
+    );
+
+    const forcedResult = await runInit({
+      cwd: projectDirectory,
+      isInteractive: false,
+      log: () => {},
+      shouldOverwrite: true,
+    });
+
+    expect(forcedResult.isSuccessful).toBe(true);
+    expect(
+      readFileSync(join(projectDirectory, "eslint.config.js"), "utf8"),
+    ).toContain("generateEslintConfigByFeatures");
+  });
+});
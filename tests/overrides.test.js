@@ -0,0 +1,99 @@
+import { ESLint } from "eslint";
+import { describe, expect, test } from "vitest";
+
+import {
+  generateEslintConfig,
+  generateEslintConfigByFeatures,
+} from "../eslint.config.js";
+
+/**
+ * @param {import("eslint").Linter.Config[]} eslintConfig
+ * @param {string} filePath
+ * @returns {Promise<import("eslint").Linter.Config | undefined>}
+ */
+function calculateConfigForFile(eslintConfig, filePath) {
+  const eslint = new ESLint({
+    overrideConfig: eslintConfig,
+    overrideConfigFile: true,
+  });
+
+  return eslint.calculateConfigForFile(filePath);
+}
+
+describe("overrides", () => {
+  test("applies a feature's overrides to that feature's files only", async () => {
+    const config = generateEslintConfig({
+      appType: "fullstack",
+      overrides: {
+        a11y: { "jsx-a11y/no-autofocus": 0 },
+        unicorn: { "unicorn/no-null": 0 },
+      },
+    });
+    const componentConfig = await calculateConfigForFile(config, "src/App.tsx");
+    const moduleConfig = await calculateConfigForFile(config, "src/seats.ts");
+
+    // A severity-only entry keeps the feature's rule options, as in any flat config
+    expect(componentConfig.rules["jsx-a11y/no-autofocus"][0]).toBe(0);
+    expect(componentConfig.rules["unicorn/no-null"][0]).toBe(0);
+    expect(moduleConfig.rules["unicorn/no-null"][0]).toBe(0);
+    expect(moduleConfig.rules["jsx-a11y/no-autofocus"]).toBeUndefined();
+  });
+
+  test("accepts core rules under any enabled feature", () => {
+    expect(() =>
+      generateEslintConfig({
+        appType: "backendOnly",
+        overrides: { eslint: { "no-console": 0 } },
+      }),
+    ).not.toThrow();
+  });
+
+  test("suggests the closest feature for an unknown one", () => {
+    expect(() =>
+      generateEslintConfig({
+        appType: "fullstack",
+        overrides: { raect: { "react/jsx-key": 0 } },
+      }),
+    ).toThrow('Unknown feature "raect" in overrides. Did you mean "react"?');
+  });
+
+  test("rejects overrides for a disabled feature", () => {
+    expect(() =>
+      generateEslintConfig({
+        appType: "backendOnly",
+        overrides: { react: { "react/jsx-key": 0 } },
+      }),
+    ).toThrow('Cannot override rules of "react": the feature is disabled');
+  });
+
+  test("suggests the closest rule for a misspelt plugin rule", () => {
+    expect(() =>
+      generateEslintConfigByFeatures({
+        overrides: { react: { "react/jsx-kye": 0 } },
+        shouldEnableReact: true,
+      }),
+    ).toThrow(
+      'Unknown rule "react/jsx-kye" in overrides.react. Did you mean "react/jsx-key"?',
+    );
+  });
+
+  test("points to the feature that loads the rule's plugin", () => {
+    expect(() =>
+      generateEslintConfigByFeatures({
+        overrides: { eslint: { "unicorn/no-null": 0 } },
+      }),
+    ).toThrow(
+      'Rule "unicorn/no-null" belongs to feature "unicorn", not "eslint"',
+    );
+  });
+
+  test("suggests the closest core rule for an unknown one", () => {
+    expect(() =>
+      generateEslintConfigByFeatures({
+        overrides: { eslint: { "no-consol": 0 } },
+      }),
+    ).toThrow(
+      'Unknown core rule "no-consol" in overrides.eslint. Did you mean "no-console"?',
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { describe, expect, test, vi } from "vitest";
+
+import {
+  createLazyConfigArray,
+  requirePlugin,
+} from "../configuration/pluginLoader.js";
+
+const rootDir = fileURLToPath(new URL("..", import.meta.url));
+
+describe("requirePlugin", () => {
+  test("returns the plugin's default export when it has one", () => {
+    const storybookPlugin = requirePlugin("eslint-plugin-storybook", "");
+
+    expect(storybookPlugin.configs["flat/recommended"]).toBeDefined();
+  });
+
+  test("throws the feature's message when the plugin is not installed", () => {
+    expect(() =>
+      requirePlugin(
+        "eslint-plugin-not-installed",
+        "Seat linting requires eslint-plugin-not-installed@^1.0.0.",
+      ),
+    ).toThrow("Seat linting requires eslint-plugin-not-installed@^1.0.0.");
+  });
+});
+
+describe("createLazyConfigArray", () => {
+  test("generates the config once, on first read", () => {
+    const generateConfig = vi.fn(() => [{ rules: { "no-var": 2 } }]);
+    const config = createLazyConfigArray(generateConfig);
+
+    expect(generateConfig).not.toHaveBeenCalled();
+    expect(Array.isArray(config)).toBe(true);
+    expect([...config]).toStrictEqual([{ rules: { "no-var": 2 } }]);
+    expect(config.flat()).toHaveLength(1);
+    expect(generateConfig).toHaveBeenCalledOnce();
+  });
+});
+
+describe("lazy plugin loading", () => {
+  test("does not load the plugins of disabled features", () => {
+    // A fresh process, so plugins other tests loaded do not count
+    const loadedPlugins = JSON.parse(
+      execFileSync(
+        process.execPath,
+        [
+          "--input-type=module",
+          "--eval",
+          `
+            import { createRequire } from "node:module";
+            import { generateEslintConfig } from "./index.js";
+
+            generateEslintConfig({ appType: "backendOnly" });
+            const loadedModules = Object.keys(createRequire(import.meta.url).cache);
+            const pluginNames = ["@graphql-eslint/eslint-plugin", "eslint-plugin-cypress", "eslint-plugin-jsx-a11y", "eslint-plugin-react"];
+
+            console.log(JSON.stringify(pluginNames.filter((pluginName) => loadedModules.some((path) => path.includes(\`/node_modules/\${pluginName}/\`)))));
+          `,
+        ],
+        { cwd: rootDir, encoding: "utf8" },
+      ),
+    );
+
+    expect(loadedPlugins).toStrictEqual([]);
+  });
+});
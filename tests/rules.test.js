@@ -0,0 +1,113 @@
+import { ESLint } from "eslint";
+import { readdirSync, readFileSync } from "node:fs";
+import { join, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, expect, test } from "vitest";
+
+import { generateEslintConfigByFeatures } from "../eslint.config.js";
+
+/**
+ * @typedef {Object} FixtureSuite
+ * @property {Parameters<typeof generateEslintConfigByFeatures>[0]} options - Feature flags the fixtures are linted with
+ * @property {Record<string, string[]>} reports - Rule IDs every `invalid*` fixture must report, keyed by path relative to the suite
+ */
+
+const fixturesDirectory = fileURLToPath(new URL("fixtures", import.meta.url));
+
+const suiteFileName = "suite.json";
+
+/**
+ * @param {string} fixtureFile - Path relative to the suite folder
+ * @returns {boolean} Whether the file, or a folder it is in, is named `valid*`, e.g. `valid.js` or `valid/package.json`
+ */
+function isValidFixture(fixtureFile) {
+  return fixtureFile.split(sep).some((segment) => /^valid/iu.test(segment));
+}
+
+/**
+ * @param {ESLint} eslint
+ * @param {string} filePath
+ * @returns {Promise<string[]>} Sorted, de-duplicated rule IDs; parse errors are reported as `fatal: <message>` and rules throwing as `crash: <message>`
+ */
+async function lintFixture(eslint, filePath) {
+  try {
+    const [result] = await eslint.lintFiles([filePath]);
+    const ruleIds = (result?.messages ?? []).map(
+      (message) => message.ruleId ?? `fatal: ${message.message}`,
+    );
+
+    return [...new Set(ruleIds)].sort();
+  } catch (error) {
+    return [
+      `crash: ${(error instanceof Error ? error.message : String(error)).split("\n")[0]}`,
+    ];
+  }
+}
+
+/**
+ * @param {string} suiteDirectory
+ * @returns {string[]} Fixture paths relative to the suite folder
+ */
+function listFixtureFiles(suiteDirectory) {
+  return readdirSync(suiteDirectory, { recursive: true, withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        entry.name !== suiteFileName &&
+        // The suite's own package.json configures it, e.g. `engines.node`
+        !(
+          entry.name === "package.json" && entry.parentPath === suiteDirectory
+        ) &&
+        !entry.name.endsWith(".d.ts"),
+    )
+    .map((entry) =>
+      join(entry.parentPath, entry.name).slice(suiteDirectory.length + 1),
+    )
+    .sort();
+}
+
+/**
+ * @param {string} suiteDirectory
+ * @returns {FixtureSuite}
+ */
+function readFixtureSuite(suiteDirectory) {
+  return JSON.parse(readFileSync(join(suiteDirectory, suiteFileName), "utf8"));
+}
+
+describe.each(readdirSync(fixturesDirectory))("%s", (suiteName) => {
+  const suiteDirectory = join(fixturesDirectory, suiteName);
+  const { options, reports } = readFixtureSuite(suiteDirectory);
+  const fixtureFiles = listFixtureFiles(suiteDirectory);
+  const eslint = new ESLint({
+    cwd: suiteDirectory,
+    overrideConfig: generateEslintConfigByFeatures({
+      rootDir: suiteDirectory,
+      ...options,
+    }),
+    overrideConfigFile: true,
+  });
+
+  test("declares expected reports for exactly its invalid fixtures", () => {
+    expect(Object.keys(reports).sort()).toStrictEqual(
+      fixtureFiles.filter((file) => !isValidFixture(file)),
+    );
+  });
+
+  test.each(fixtureFiles.filter((file) => isValidFixture(file)))(
+    "%s reports nothing",
+    async (fixtureFile) => {
+      expect(
+        await lintFixture(eslint, join(suiteDirectory, fixtureFile)),
+      ).toStrictEqual([]);
+    },
+  );
+
+  test.each(Object.entries(reports))(
+    "%s reports %j",
+    async (fixtureFile, expectedRuleIds) => {
+      expect(
+        await lintFixture(eslint, join(suiteDirectory, fixtureFile)),
+      ).toStrictEqual([...expectedRuleIds].sort());
+    },
+  );
+});
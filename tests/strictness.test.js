@@ -0,0 +1,108 @@
+import { ESLint } from "eslint";
+import { describe, expect, test } from "vitest";
+
+import {
+  generateEslintConfig,
+  generateEslintConfigByFeatures,
+} from "../eslint.config.js";
+
+/**
+ * @param {import("eslint").Linter.Config[]} eslintConfig
+ * @param {string} filePath
+ * @returns {Promise<import("eslint").Linter.RulesRecord>} Rule entries, normalized by ESLint to `[severity, ...options]`
+ */
+async function calculateRulesForFile(eslintConfig, filePath) {
+  const eslint = new ESLint({
+    overrideConfig: eslintConfig,
+    overrideConfigFile: true,
+  });
+  const { rules } = await eslint.calculateConfigForFile(filePath);
+
+  return rules;
+}
+
+describe("strictness", () => {
+  test("enables every rule at the default 'pedantic' level", async () => {
+    const rules = await calculateRulesForFile(
+      generateEslintConfig({ appType: "backendOnly" }),
+      "src/seats.ts",
+    );
+
+    expect(rules["no-plusplus"][0]).toBe(2);
+    expect(rules["@typescript-eslint/strict-boolean-expressions"][0]).toBe(2);
+    expect(rules["unicorn/prevent-abbreviations"][0]).toBe(2);
+  });
+
+  test("leaves out the rules of the levels above the chosen one", async () => {
+    const recommendedRules = await calculateRulesForFile(
+      generateEslintConfig({
+        appType: "backendOnly",
+        strictness: "recommended",
+      }),
+      "src/seats.ts",
+    );
+    const strictRules = await calculateRulesForFile(
+      generateEslintConfig({ appType: "backendOnly", strictness: "strict" }),
+      "src/seats.ts",
+    );
+
+    expect(recommendedRules["no-plusplus"][0]).toBe(0);
+    expect(recommendedRules["no-continue"][0]).toBe(0);
+    expect(
+      recommendedRules["@typescript-eslint/strict-boolean-expressions"][0],
+    ).toBe(0);
+    expect(recommendedRules["unicorn/prevent-abbreviations"][0]).toBe(0);
+    expect(recommendedRules["no-debugger"][0]).toBe(2);
+
+    expect(strictRules["no-plusplus"][0]).toBe(2);
+    expect(
+      strictRules["@typescript-eslint/strict-boolean-expressions"][0],
+    ).toBe(2);
+    expect(strictRules["unicorn/prevent-abbreviations"][0]).toBe(0);
+    expect(strictRules["prefer-named-capture-group"][0]).toBe(0);
+  });
+
+  test("downgrades rules that are not about correctness to warnings in adoption mode", async () => {
+    const rules = await calculateRulesForFile(
+      generateEslintConfig({
+        adoptionMode: true,
+        appType: "fullstack",
+        strictness: "strict",
+      }),
+      "src/App.tsx",
+    );
+
+    expect(rules["no-plusplus"][0]).toBe(1);
+    expect(rules["unicorn/consistent-destructuring"][0]).toBe(1);
+    // Options are kept
+    expect(rules["func-style"].slice(0, 2)).toStrictEqual([0, "declaration"]);
+    // Correctness rules still fail the build, from core and plugins alike
+    expect(rules["no-debugger"][0]).toBe(2);
+    expect(rules["@typescript-eslint/no-floating-promises"][0]).toBe(2);
+    // So are rules that do not say what they are about
+    expect(rules["react/jsx-key"][0]).toBe(2);
+    // Levels above the chosen one stay off
+    expect(rules["unicorn/prevent-abbreviations"][0]).toBe(0);
+  });
+
+  test("applies overrides as written, after adoption mode", async () => {
+    const rules = await calculateRulesForFile(
+      generateEslintConfigByFeatures({
+        adoptionMode: true,
+        overrides: { eslint: { "no-plusplus": 2 } },
+      }),
+      "src/seats.js",
+    );
+
+    expect(rules["no-plusplus"][0]).toBe(2);
+    expect(rules["no-continue"][0]).toBe(1);
+  });
+
+  test("throws for an unknown level", () => {
+    expect(() =>
+      generateEslintConfigByFeatures({ strictness: "paranoid" }),
+    ).toThrow(
+      'Unknown strictness "paranoid". Levels: recommended, strict, pedantic.',
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { Linter } from "eslint";
+import { describe, expect, test } from "vitest";
+
+import { getTypescriptConfig } from "../configuration/typescript.js";
+
+describe("getTypescriptConfig", () => {
+  test("type-checks with the project service by default", () => {
+    const { languageOptions, rules } = getTypescriptConfig();
+
+    expect(languageOptions.parserOptions).toStrictEqual({
+      allowDefaultProject: true,
+      projectService: true,
+    });
+    expect(rules["@typescript-eslint/no-floating-promises"]).toStrictEqual([
+      2,
+      { ignoreVoid: true },
+    ]);
+  });
+
+  test("type-checks with explicit tsconfig files", () => {
+    const { languageOptions } = getTypescriptConfig({
+      rootDir: "/project",
+      tsconfigFiles: ["tsconfig.app.json", "tsconfig.node.json"],
+    });
+
+    expect(languageOptions.parserOptions).toStrictEqual({
+      project: ["tsconfig.app.json", "tsconfig.node.json"],
+      tsconfigRootDir: "/project",
+    });
+  });
+
+  test("drops type information and the rules that need it in syntactic mode", () => {
+    const config = getTypescriptConfig({
+      tsconfigFiles: ["tsconfig.app.json"],
+      typeCheckMode: "syntactic",
+    });
+    const linter = new Linter();
+    const messages = linter.verify(
+      "const isOpen: boolean = true; let seatCount: any = 1; async function bookSeat() {} bookSeat(); export { isOpen, seatCount };",
+      [config],
+      "src/seats.ts",
+    );
+
+    expect(config.languageOptions.parserOptions).toBeUndefined();
+    expect(config.rules["@typescript-eslint/no-floating-promises"]).toBe(0);
+    expect(config.rules["@typescript-eslint/strict-boolean-expressions"]).toBe(
+      0,
+    );
+    // Syntactic rules still run, as do the naming rules that need no types
+    expect(messages.map(({ ruleId }) => ruleId)).toStrictEqual([
+      "@typescript-eslint/no-inferrable-types",
+      "@typescript-eslint/no-explicit-any",
+    ]);
+    expect(
+      linter.verify("export const seat_count = 1;", [config], "src/seats.ts"),
+    ).toMatchObject([{ ruleId: "@typescript-eslint/naming-convention" }]);
+  });
+
+  test("throws for an unknown mode", () => {
+    expect(() => getTypescriptConfig({ typeCheckMode: "fast" })).toThrow(
+      "Invalid type check mode: fast",
+    );
+  });
+});
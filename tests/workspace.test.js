@@ -0,0 +1,166 @@
+import { ESLint } from "eslint";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+import { generateWorkspaceEslintConfig } from "../eslint.config.js";
+
+describe("generateWorkspaceEslintConfig", () => {
+  let workspaceDirectory = "";
+
+  /**
+   * @param {string} filePath - Relative to the workspace root
+   * @param {string | object} content - Objects are written as JSON
+   */
+  function writeWorkspaceFile(filePath, content) {
+    const absolutePath = join(workspaceDirectory, filePath);
+
+    mkdirSync(dirname(absolutePath), { recursive: true });
+    writeFileSync(
+      absolutePath,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+  }
+
+  /**
+   * @param {import("eslint").Linter.Config[]} workspaceConfig
+   * @param {string} filePath - Relative to the workspace root
+   * @returns {Promise<import("eslint").Linter.Config | undefined>}
+   */
+  function calculateConfigForFile(workspaceConfig, filePath) {
+    const eslint = new ESLint({
+      cwd: workspaceDirectory,
+      overrideConfig: workspaceConfig,
+      overrideConfigFile: true,
+    });
+
+    return eslint.calculateConfigForFile(filePath);
+  }
+
+  beforeEach(() => {
+    workspaceDirectory = mkdtempSync(
+      join(tmpdir(), "uba-eslint-config-workspace-"),
+    );
+    writeWorkspaceFile("package.json", { private: true });
+    writeWorkspaceFile(
+      "pnpm-workspace.yaml",
+      'packages:\n  - "apps/*"\n  - "packages/*"\n  - "!packages/legacy"\n',
+    );
+    writeWorkspaceFile("apps/web/package.json", {
+      dependencies: { react: "^19.0.0", typescript: "^5.0.0" },
+    });
+    writeWorkspaceFile("apps/web/tsconfig.json", {});
+    writeWorkspaceFile("apps/api/package.json", {
+      dependencies: { typescript: "^5.0.0" },
+    });
+    writeWorkspaceFile("packages/ui/package.json", {});
+    writeWorkspaceFile("packages/legacy/package.json", {});
+  });
+
+  afterEach(() => {
+    rmSync(workspaceDirectory, { force: true, recursive: true });
+  });
+
+  test("detects the features of discovered packages that no glob configures", async () => {
+    const config = generateWorkspaceEslintConfig({
+      rootDir: workspaceDirectory,
+    });
+    const webConfig = await calculateConfigForFile(
+      config,
+      "apps/web/src/App.tsx",
+    );
+    const apiConfig = await calculateConfigForFile(
+      config,
+      "apps/api/src/index.ts",
+    );
+
+    expect(Object.keys(webConfig.plugins)).toContain("react");
+    expect(Object.keys(apiConfig.plugins)).not.toContain("react");
+    expect(Object.keys(apiConfig.plugins)).toContain("@typescript-eslint");
+  });
+
+  test("applies the options of the last glob matching a package", async () => {
+    const config = generateWorkspaceEslintConfig({
+      packages: {
+        "apps/*": { appType: "fullstack", shouldEnableTailwind: false },
+        "apps/api": { appType: "backendOnly" },
+        "packages/*": { appType: "backendOnly", shouldEnableTypescript: false },
+      },
+      rootDir: workspaceDirectory,
+    });
+    const apiConfig = await calculateConfigForFile(
+      config,
+      "apps/api/src/index.ts",
+    );
+    const uiConfig = await calculateConfigForFile(
+      config,
+      "packages/ui/index.js",
+    );
+
+    expect(Object.keys(apiConfig.plugins)).not.toContain("react");
+    expect(Object.keys(uiConfig.plugins)).not.toContain("@typescript-eslint");
+  });
+
+  test("resolves imports and aliases from each package's own directory", async () => {
+    const config = generateWorkspaceEslintConfig({
+      rootDir: workspaceDirectory,
+    });
+    const webConfig = await calculateConfigForFile(
+      config,
+      "apps/web/src/App.tsx",
+    );
+
+    expect(webConfig.settings["import/resolver"].typescript.project).toBe(
+      join(workspaceDirectory, "apps/web/tsconfig.json"),
+    );
+    expect(webConfig.languageOptions.parserOptions.tsconfigRootDir).toBe(
+      join(workspaceDirectory, "apps/web"),
+    );
+    expect(
+      webConfig.rules["canonical/prefer-import-alias"][1].aliases[0]
+        .matchParent,
+    ).toBe(join(workspaceDirectory, "apps/web/src"));
+  });
+
+  test("leaves out packages excluded by a negated workspace glob", async () => {
+    const config = generateWorkspaceEslintConfig({
+      rootDir: workspaceDirectory,
+    });
+
+    const legacyConfig = await calculateConfigForFile(
+      config,
+      "packages/legacy/index.js",
+    );
+
+    // Only ESLint's built-in defaults apply to files outside every package
+    expect(Object.keys(legacyConfig.plugins)).toStrictEqual(["@"]);
+  });
+
+  test("discovers packages from package.json workspaces", async () => {
+    rmSync(join(workspaceDirectory, "pnpm-workspace.yaml"));
+    writeWorkspaceFile("package.json", {
+      private: true,
+      workspaces: { packages: ["packages/*"] },
+    });
+
+    const config = generateWorkspaceEslintConfig({
+      rootDir: workspaceDirectory,
+    });
+
+    await expect(
+      calculateConfigForFile(config, "packages/ui/index.js"),
+    ).resolves.toBeDefined();
+    await expect(
+      calculateConfigForFile(config, "apps/web/src/App.tsx"),
+    ).resolves.toBeUndefined();
+  });
+
+  test("throws when there is no package to configure", () => {
+    rmSync(join(workspaceDirectory, "pnpm-workspace.yaml"));
+
+    expect(() =>
+      generateWorkspaceEslintConfig({ rootDir: workspaceDirectory }),
+    ).toThrow("No workspace packages found");
+  });
+});
@@ -0,0 +1,11 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    // Fixtures are lint samples, not test files, even when named `*.test.ts`
+    exclude: ["tests/fixtures/**", "node_modules/**"],
+    include: ["tests/**/*.test.js"],
+    // Type-aware linting spins up a TypeScript program per suite
+    testTimeout: 60_000,
+  },
+});